@@ -0,0 +1,479 @@
+/**
+ * analysis.js
+ * Probabilistic Reward 課題のデータ (name が 'signal for reward' の行) を集計するスクリプトです。
+ * jsPsych に依存しない関数のみを定義し、課題の終了時 (task.js の appendTaskSummary) に使用します。
+ */
+
+/////////////////////////////////////////////////
+//// 課題のサマリー
+
+/**
+ * 本番課題の試行を集計し、課題のサマリーを生成します。
+ * 反応時間の基準 (rtFilter) で除外した試行を除いて、信号検出理論の指標と反応時間を集計します。
+ * qualityControl を指定した場合は、除外する前の試行からデータの品質を確認します。
+ * modelFit.enabled が true の場合は、除外する前の試行の系列に強化学習モデルを当てはめます。
+ * @param {*[]} rows name が 'signal for reward' の行の配列
+ * @param {*} options 集計の設定 (rtFilter、qualityControl、modelFit)
+ * @returns 反応時間による除外の結果 (rt_filter)、信号検出理論の指標 (signal_detection)、
+ *   反応時間 (reaction_time)、誤分類の確率 (misclassification)、
+ *   データの品質の確認の結果 (quality_control、確認しない場合は null)、
+ *   強化学習モデルの当てはめの結果 (model_fit、当てはめない場合は null) を格納したオブジェクト
+ */
+const summarizeTask = (rows, options) => {
+  const rtFilter = filterReactionTimes(rows, options.rtFilter);
+  const kept = rows.filter((row, index) => rtFilter.trials[index].kept);
+  const previousOf = getPreviousTrials(rows);
+  return {
+    rt_filter: rtFilter,
+    signal_detection: summarizeByBlock(kept, computeSignalDetection),
+    reaction_time: summarizeByBlock(kept, computeReactionTimes),
+    misclassification: summarizeByBlock(kept, (blockRows) => computeMisclassification(blockRows, previousOf)),
+    quality_control: options.qualityControl ? assessDataQuality(rows, rtFilter, options.qualityControl) : null,
+    model_fit: (options.modelFit && options.modelFit.enabled) ? fitReinforcementModel(rows, options.modelFit) : null,
+  };
+};
+
+/**
+ * 試行を全体 (overall) およびブロックごと (blocks) に集計します。
+ * @param {*[]} rows 試行の配列
+ * @param {Function} compute 試行の配列を集計する関数
+ */
+const summarizeByBlock = (rows, compute) => ({
+  overall: compute(rows),
+  blocks: groupByBlock(rows).map(({ block, rows: blockRows }) => ({ block, ...compute(blockRows) })),
+});
+
+/**
+ * 試行をブロック (block) ごとに分類します。
+ * @param {*[]} rows 試行の配列
+ * @returns ブロックの番号 (block) と試行の配列 (rows) を格納したオブジェクトの、ブロックの番号順の配列
+ */
+const groupByBlock = (rows) => {
+  let groups = new Map();
+  rows.forEach((row) => {
+    groups.set(row.block, [...(groups.get(row.block) || []), row]);
+  });
+  return [...groups.keys()].sort((a, b) => a - b).map((block) => ({ block, rows: groups.get(block) }));
+};
+
+/////////////////////////////////////////////////
+//// 反応時間による除外
+
+/**
+ * 反応時間 (rt) の基準に従って、各試行を集計に含める (kept) か除外するかを判定します。
+ * 除外の理由 (reason) は次のいずれかです。
+ *   'missed': 制限時間内に応答しなかった試行
+ *   'too_fast': 反応時間が minRt 未満の試行
+ *   'too_slow': 反応時間が maxRt を超える試行 (maxRt が 0 の場合は判定しません)
+ *   'log_rt_outlier': 対数変換した反応時間が、平均から標準偏差の sdCriterion 倍以上離れた試行
+ *     (平均と標準偏差は、上記の理由で除外されなかった試行から求めます)
+ * @param {*[]} rows 試行の配列
+ * @param {*} filter 反応時間の基準 (minRt、maxRt、sdCriterion)
+ * @returns 基準、対数変換した反応時間の平均 (log_rt_mean) と標準偏差 (log_rt_sd)、
+ *   集計に含めた試行数 (kept_count)、除外した理由ごとの試行数 (excluded_by_reason)、
+ *   試行ごとの判定 (trials: trial_count、kept、reason) を格納したオブジェクト
+ */
+const filterReactionTimes = (rows, filter) => {
+  // 応答の有無と、反応時間の上限・下限を判定します。
+  let trials = rows.map((row) => {
+    let reason = null;
+    if (row.missed || (row.rt === null) || (row.rt === undefined)) {
+      reason = 'missed';
+    } else if ((row.rt < filter.minRt) || (row.rt <= 0)) {
+      reason = 'too_fast';
+    } else if ((filter.maxRt > 0) && (row.rt > filter.maxRt)) {
+      reason = 'too_slow';
+    }
+    return { trial_count: row.trial_count, kept: reason === null, reason };
+  });
+
+  // 対数変換した反応時間の平均と標準偏差を求め、基準から外れた試行を除外します。
+  const logRts = rows.filter((row, index) => trials[index].kept).map((row) => Math.log(row.rt));
+  const logRtMean = mean(logRts);
+  const logRtSd = standardDeviation(logRts);
+  if ((filter.sdCriterion > 0) && (logRtSd !== null)) {
+    rows.forEach((row, index) => {
+      if (trials[index].kept && (Math.abs(Math.log(row.rt) - logRtMean) >= filter.sdCriterion * logRtSd)) {
+        trials[index] = { ...trials[index], kept: false, reason: 'log_rt_outlier' };
+      }
+    });
+  }
+
+  let excludedByReason = { missed: 0, too_fast: 0, too_slow: 0, log_rt_outlier: 0 };
+  trials.filter((trial) => !trial.kept).forEach((trial) => excludedByReason[trial.reason]++);
+  return {
+    min_rt: filter.minRt,
+    max_rt: filter.maxRt,
+    sd_criterion: filter.sdCriterion,
+    log_rt_mean: logRtMean,
+    log_rt_sd: logRtSd,
+    kept_count: trials.filter((trial) => trial.kept).length,
+    excluded_by_reason: excludedByReason,
+    trials,
+  };
+};
+
+/////////////////////////////////////////////////
+//// 信号検出理論による集計
+
+/**
+ * 試行から、rich (frequent) および lean (infrequent) 刺激の正答率と、
+ * 反応バイアス (log b) および弁別性 (log d) を求めます。
+ * log b と log d は、各セルに 0.5 を加える補正 (Hautus, 1995) をしたうえで次の式で求めます。
+ *   log b = 0.5 × log10((rich 正答 × lean 誤答) / (rich 誤答 × lean 正答))
+ *   log d = 0.5 × log10((rich 正答 × lean 正答) / (rich 誤答 × lean 誤答))
+ * 制限時間内に応答しなかった試行 (missed) は集計に含めません。
+ * @param {*[]} rows 試行の配列
+ */
+const computeSignalDetection = (rows) => {
+  const responded = rows.filter((row) => !row.missed && (row.response !== null) && (row.response !== undefined));
+  const count = (frequency, correct) => responded.filter((row) => (row.frequency == frequency) && (Boolean(row.correct) == correct)).length;
+  const richCorrect = count('frequent', true);
+  const richIncorrect = count('frequent', false);
+  const leanCorrect = count('infrequent', true);
+  const leanIncorrect = count('infrequent', false);
+
+  // 正答率を求めます。試行が無い場合は null とします。
+  const rate = (correct, incorrect) => (correct + incorrect > 0) ? correct / (correct + incorrect) : null;
+
+  // 各セルに 0.5 を加えて log b と log d を求めます。
+  const [rc, ri, lc, li] = [richCorrect, richIncorrect, leanCorrect, leanIncorrect].map((value) => value + 0.5);
+  return {
+    trials: responded.length,
+    rich_correct: richCorrect,
+    rich_incorrect: richIncorrect,
+    lean_correct: leanCorrect,
+    lean_incorrect: leanIncorrect,
+    rich_hit_rate: rate(richCorrect, richIncorrect),
+    lean_hit_rate: rate(leanCorrect, leanIncorrect),
+    log_b: 0.5 * Math.log10((rc * li) / (ri * lc)),
+    log_d: 0.5 * Math.log10((rc * lc) / (ri * li)),
+  };
+};
+
+/////////////////////////////////////////////////
+//// 誤分類の確率
+
+/**
+ * 各試行の直前の試行 (同じブロック内の trial_count が 1 小さい試行) を求めます。
+ * @param {*[]} rows 試行の配列
+ * @returns trial_count から直前の試行を取得するマップ
+ */
+const getPreviousTrials = (rows) => {
+  const trialOf = new Map(rows.map((row) => [row.trial_count, row]));
+  let previousOf = new Map();
+  rows.forEach((row) => {
+    const previous = trialOf.get(row.trial_count - 1);
+    if (previous && (previous.block == row.block)) {
+      previousOf.set(row.trial_count, previous);
+    }
+  });
+  return previousOf;
+};
+
+/**
+ * 直前の試行の種類ごとに、刺激を誤って分類する確率を求めます (Pizzagalli et al., 2008 の probability analysis)。
+ * lean_miss は lean (infrequent) 刺激の誤分類の確率で、直前の試行が
+ *   after_rewarded_rich: 報酬を得た rich 刺激、after_unrewarded_rich: 正しく応答したが報酬を得なかった rich 刺激、
+ *   after_lean: lean 刺激
+ * の場合に分けて求めます。rich_miss は rich (frequent) 刺激について、rich と lean を入れ替えて同様に求めます。
+ * 直前の試行が無い (ブロックの最初の) 試行、直前の試行または当該の試行で応答しなかった試行は含めません。
+ * 該当する試行が無い場合の確率は null です。
+ * @param {*[]} rows 試行の配列
+ * @param {Map} previousOf trial_count から直前の試行を取得するマップ (getPreviousTrials)
+ */
+const computeMisclassification = (rows, previousOf) => {
+  const responded = (row) => !row.missed && (row.response !== null) && (row.response !== undefined);
+
+  // 当該の試行の頻度と、直前の試行の条件ごとに誤分類の確率を求めます。
+  const probability = (frequency, condition) => {
+    const trials = rows.filter((row) => (row.frequency == frequency) && responded(row)
+      && previousOf.has(row.trial_count) && responded(previousOf.get(row.trial_count))
+      && condition(previousOf.get(row.trial_count)));
+    const misses = trials.filter((row) => !row.correct).length;
+    return { trials: trials.length, misses, probability: (trials.length > 0) ? misses / trials.length : null };
+  };
+  const conditions = (other, same) => ({
+    [`after_rewarded_${other.label}`]: (previous) => (previous.frequency == other.frequency) && previous.reward_delivered,
+    [`after_unrewarded_${other.label}`]: (previous) => (previous.frequency == other.frequency) && previous.correct && !previous.reward_delivered,
+    [`after_${same.label}`]: (previous) => previous.frequency == same.frequency,
+  });
+  const rich = { frequency: 'frequent', label: 'rich' };
+  const lean = { frequency: 'infrequent', label: 'lean' };
+  const probabilities = (frequency, conditionMap) => Object.fromEntries(
+    Object.entries(conditionMap).map(([key, condition]) => [key, probability(frequency, condition)]));
+  return {
+    lean_miss: probabilities(lean.frequency, conditions(rich, lean)),
+    rich_miss: probabilities(rich.frequency, conditions(lean, rich)),
+  };
+};
+
+/////////////////////////////////////////////////
+//// 反応時間の集計
+
+/**
+ * 試行の反応時間 (msec) の平均と中央値を、全体、rich (frequent) および lean (infrequent) 刺激ごとに求めます。
+ * 試行が無い場合は null とします。
+ * @param {*[]} rows 試行の配列
+ */
+const computeReactionTimes = (rows) => {
+  const rts = (frequency) => rows.filter((row) => !frequency || (row.frequency == frequency)).map((row) => row.rt);
+  return {
+    trials: rows.length,
+    mean_rt: mean(rts()),
+    median_rt: median(rts()),
+    rich_mean_rt: mean(rts('frequent')),
+    lean_mean_rt: mean(rts('infrequent')),
+  };
+};
+
+/////////////////////////////////////////////////
+//// データの品質の確認
+
+/**
+ * 本番課題の試行から品質の指標を求め、基準 (thresholds) を満たすかを判定します。
+ * 指標は次のとおりです。正答率は応答した試行から求め、反応時間による除外は適用しません。
+ *   accuracy: 全体の正答率、rich_accuracy / lean_accuracy: rich および lean 刺激それぞれの正答率
+ *   excluded_rt_proportion: 応答した試行のうち、反応時間の基準で除外した (missed 以外の理由の) 試行の割合
+ *   longest_same_key_run: 同じキーを続けて押した最長の回数 (応答しなかった試行は飛ばして数えます)
+ *   missed_count / missed_proportion: 制限時間内に応答しなかった試行の数と割合
+ * 指標を求められない (試行が無い) 場合は、その基準を満たさないものとします。
+ * @param {*[]} rows 試行の配列
+ * @param {*} rtFilter filterReactionTimes の結果
+ * @param {*} thresholds 品質の基準 (qualityControl)
+ * @returns 合否 (passed)、不合格の理由 (reasons: indicator、value、threshold、message の配列)、
+ *   指標 (indicators)、基準 (thresholds) を格納したオブジェクト
+ */
+const assessDataQuality = (rows, rtFilter, thresholds) => {
+  const responded = rows.filter((row) => !row.missed && (row.response !== null) && (row.response !== undefined));
+  const ratio = (count, total) => (total > 0) ? count / total : null;
+  const accuracy = (frequency) => {
+    const trials = responded.filter((row) => !frequency || (row.frequency == frequency));
+    return ratio(trials.filter((row) => row.correct).length, trials.length);
+  };
+
+  // 同じキーを続けて押した最長の回数を求めます。
+  let longestRun = 0;
+  let run = 0;
+  responded.forEach((row, index) => {
+    run = ((index > 0) && (row.response == responded[index - 1].response)) ? run + 1 : 1;
+    longestRun = Math.max(longestRun, run);
+  });
+
+  const excludedCount = rtFilter.trials.filter((trial) => !trial.kept && (trial.reason != 'missed')).length;
+  const missedCount = rows.length - responded.length;
+  const indicators = {
+    accuracy: accuracy(),
+    rich_accuracy: accuracy('frequent'),
+    lean_accuracy: accuracy('infrequent'),
+    excluded_rt_proportion: ratio(excludedCount, responded.length),
+    longest_same_key_run: longestRun,
+    missed_count: missedCount,
+    missed_proportion: ratio(missedCount, rows.length),
+  };
+
+  // 基準を満たさない指標を、不合格の理由とします。
+  let reasons = [];
+  const checkMinimum = (indicator, threshold, label) => {
+    const value = indicators[indicator];
+    if ((value === null) || (value < threshold)) {
+      reasons.push({ indicator, value, threshold, message: `${label}が ${threshold} 未満です。` });
+    }
+  };
+  const checkMaximum = (indicator, threshold, label) => {
+    const value = indicators[indicator];
+    if ((value === null) || (value > threshold)) {
+      reasons.push({ indicator, value, threshold, message: `${label}が ${threshold} を超えています。` });
+    }
+  };
+  checkMinimum('accuracy', thresholds.minAccuracy, '全体の正答率');
+  checkMinimum('rich_accuracy', thresholds.minStimulusAccuracy, 'rich 刺激の正答率');
+  checkMinimum('lean_accuracy', thresholds.minStimulusAccuracy, 'lean 刺激の正答率');
+  checkMaximum('excluded_rt_proportion', thresholds.maxExcludedRtProportion, '反応時間の基準で除外した試行の割合');
+  if (thresholds.maxSameKeyRun > 0) {
+    checkMaximum('longest_same_key_run', thresholds.maxSameKeyRun, '同じキーを続けて押した回数');
+  }
+  checkMaximum('missed_proportion', thresholds.maxMissedProportion, '応答しなかった試行の割合');
+
+  return { passed: reasons.length == 0, reasons, indicators, thresholds };
+};
+
+/////////////////////////////////////////////////
+//// 強化学習モデルの当てはめ
+
+/**
+ * 強化学習モデルのパラメーターです。
+ * name: パラメーターの名前、initial: 推定の初期値の候補、
+ * toValue: 最適化に用いる実数から値への変換、fromValue: その逆変換です。
+ */
+const reinforcementModelParameters = [
+  // 報酬への感受性 (0 以上)
+  { name: 'reward_sensitivity', initial: [1, 3, 0.3, 10, 0.1], toValue: Math.exp, fromValue: Math.log },
+  // 学習率 (0 から 1)
+  { name: 'learning_rate', initial: [0.1, 0.5, 0.02, 0.9, 0.25], toValue: (x) => 1 / (1 + Math.exp(-x)), fromValue: (value) => Math.log(value / (1 - value)) },
+  // 教示への感受性 (0 以上)
+  { name: 'instruction_sensitivity', initial: [1, 0.3, 3, 0.1, 10], toValue: Math.exp, fromValue: Math.log },
+];
+
+/**
+ * 本番課題の試行の系列に、強化学習モデル (Huys et al., 2013 の stimulus-action モデル) を最尤推定で当てはめます。
+ * 刺激 s (rich または lean) に対する応答 a (rich 刺激の応答または lean 刺激の応答) の重みを
+ *   W(a, s) = 教示への感受性 × I(a, s) + Q(a, s)   (I(a, s) は a が s の正しい応答の場合に 1、それ以外は 0)
+ * とし、応答の確率を W のソフトマックス関数で求めます。Q の初期値は 0 で、応答した後に
+ *   Q(a, s) ← Q(a, s) + 学習率 × (報酬への感受性 × r − Q(a, s))   (r は報酬を得た場合に 1、それ以外は 0)
+ * と更新します。応答しなかった試行は尤度に含めず、Q も更新しません。
+ * 学習はブロックをまたいで続くものとし、反応時間による除外は適用しません。
+ * 最適化は Nelder-Mead 法で、options.starts 個の初期値から行い、対数尤度が最大の結果を採用します。
+ * @param {*[]} rows 試行の配列 (trial_count の順)
+ * @param {*} options 当てはめの設定 (starts、maxIterations)
+ * @returns 試行数 (trials)、パラメーターの推定値 (parameters)、対数尤度 (log_likelihood)、AIC (aic)、BIC (bic)、
+ *   偶然の水準 (確率 0.5) に対する疑似決定係数 (pseudo_r2)、収束の有無 (converged)、反復回数 (iterations)、
+ *   初期値の数 (starts) を格納したオブジェクト
+ */
+const fitReinforcementModel = (rows, options) => {
+  // 刺激 (0: rich、1: lean)、応答 (0: rich 刺激の応答、1: lean 刺激の応答)、報酬の系列を求めます。
+  const trials = [...rows]
+    .filter((row) => !row.missed && (row.response !== null) && (row.response !== undefined))
+    .sort((a, b) => a.trial_count - b.trial_count)
+    .map((row) => {
+      const stimulus = (row.frequency == 'frequent') ? 0 : 1;
+      return { stimulus, action: row.correct ? stimulus : 1 - stimulus, reward: row.reward_delivered ? 1 : 0 };
+    });
+  if (trials.length == 0) {
+    return null;
+  }
+
+  const parameters = reinforcementModelParameters;
+  const negativeLogLikelihood = (x) => -computeReinforcementLogLikelihood(trials, x.map((value, index) => parameters[index].toValue(value)));
+
+  // 初期値ごとに最適化し、対数尤度が最大の結果を採用します。
+  let best = null;
+  for (let start = 0; start < options.starts; start++) {
+    const initial = parameters.map((parameter) => parameter.fromValue(parameter.initial[start % parameter.initial.length]));
+    const result = minimizeNelderMead(negativeLogLikelihood, initial, { maxIterations: options.maxIterations });
+    if (!best || (result.value < best.value)) {
+      best = result;
+    }
+  }
+
+  const logLikelihood = -best.value;
+  const k = parameters.length;
+  const n = trials.length;
+  return {
+    trials: n,
+    parameters: Object.fromEntries(parameters.map((parameter, index) => [parameter.name, parameter.toValue(best.point[index])])),
+    log_likelihood: logLikelihood,
+    aic: 2 * k - 2 * logLikelihood,
+    bic: k * Math.log(n) - 2 * logLikelihood,
+    pseudo_r2: 1 - logLikelihood / (n * Math.log(0.5)),
+    converged: best.converged,
+    iterations: best.iterations,
+    starts: options.starts,
+  };
+};
+
+/**
+ * 強化学習モデルの対数尤度を求めます。
+ * @param {*[]} trials 刺激 (stimulus)、応答 (action)、報酬 (reward) を格納したオブジェクトの配列
+ * @param {number[]} values 報酬への感受性、学習率、教示への感受性の値
+ */
+const computeReinforcementLogLikelihood = (trials, values) => {
+  const [rewardSensitivity, learningRate, instructionSensitivity] = values;
+  let q = [[0, 0], [0, 0]];
+  let logLikelihood = 0;
+  trials.forEach(({ stimulus, action, reward }) => {
+    const weights = [0, 1].map((a) => instructionSensitivity * ((a == stimulus) ? 1 : 0) + q[stimulus][a]);
+    // ソフトマックス関数の対数を、桁あふれしないように求めます。
+    const max = Math.max(...weights);
+    logLikelihood += weights[action] - max - Math.log(weights.reduce((sum, weight) => sum + Math.exp(weight - max), 0));
+    q[stimulus][action] += learningRate * (rewardSensitivity * reward - q[stimulus][action]);
+  });
+  return logLikelihood;
+};
+
+/**
+ * Nelder-Mead 法で関数の最小値を求めます。
+ * 単体の頂点の関数値の差が tolerance 未満になった場合に収束したものとします。
+ * @param {Function} f 最小化する関数 (数値の配列を受け取り、数値を返します)
+ * @param {number[]} initial 初期値
+ * @param {*} options maxIterations: 反復回数の上限、tolerance: 収束の判定の基準 (既定では 1e-8)、step: 初期の単体の大きさ (既定では 0.5)
+ * @returns 最小値を与える点 (point)、最小値 (value)、収束の有無 (converged)、反復回数 (iterations)
+ */
+const minimizeNelderMead = (f, initial, options) => {
+  const tolerance = options.tolerance || 1e-8;
+  const step = options.step || 0.5;
+  const evaluate = (point) => {
+    const value = f(point);
+    return { point, value: Number.isFinite(value) ? value : Infinity };
+  };
+  const combine = (a, b, t) => a.map((value, index) => value + t * (b[index] - value));
+
+  // 初期値と、各座標を step だけずらした点で単体を作ります。
+  let simplex = [evaluate(initial), ...initial.map((value, index) => evaluate(initial.map((x, i) => (i == index) ? x + step : x)))];
+  let iterations = 0;
+  let converged = false;
+  while (iterations < options.maxIterations) {
+    simplex.sort((a, b) => a.value - b.value);
+    if (Math.abs(simplex[simplex.length - 1].value - simplex[0].value) < tolerance) {
+      converged = true;
+      break;
+    }
+    iterations++;
+
+    // 最も大きい頂点以外の重心を求め、反射、拡大、収縮、縮小の順に試みます。
+    const worst = simplex[simplex.length - 1];
+    const centroid = initial.map((value, index) => mean(simplex.slice(0, -1).map((vertex) => vertex.point[index])));
+    const reflected = evaluate(combine(centroid, worst.point, -1));
+    if (reflected.value < simplex[0].value) {
+      const expanded = evaluate(combine(centroid, worst.point, -2));
+      simplex[simplex.length - 1] = (expanded.value < reflected.value) ? expanded : reflected;
+    } else if (reflected.value < simplex[simplex.length - 2].value) {
+      simplex[simplex.length - 1] = reflected;
+    } else {
+      const contracted = (reflected.value < worst.value)
+        ? evaluate(combine(centroid, reflected.point, 0.5))
+        : evaluate(combine(centroid, worst.point, 0.5));
+      if (contracted.value < Math.min(reflected.value, worst.value)) {
+        simplex[simplex.length - 1] = contracted;
+      } else {
+        simplex = simplex.map((vertex, index) => (index == 0) ? vertex : evaluate(combine(simplex[0].point, vertex.point, 0.5)));
+      }
+    }
+  }
+  simplex.sort((a, b) => a.value - b.value);
+  return { point: simplex[0].point, value: simplex[0].value, converged, iterations };
+};
+
+/////////////////////////////////////////////////
+//// 統計量
+
+/**
+ * 数値の配列の平均を求めます。配列が空の場合は null を返します。
+ * @param {number[]} values 数値の配列
+ */
+const mean = (values) => (values.length > 0) ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+/**
+ * 数値の配列の中央値を求めます。配列が空の場合は null を返します。
+ * @param {number[]} values 数値の配列
+ */
+const median = (values) => {
+  if (values.length == 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return (sorted.length % 2 == 1) ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * 数値の配列の標準偏差 (不偏分散の平方根) を求めます。要素が 2 個未満の場合は null を返します。
+ * @param {number[]} values 数値の配列
+ */
+const standardDeviation = (values) => {
+  if (values.length < 2) {
+    return null;
+  }
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+};
@@ -1,2 +0,0 @@
-/*タイムラインの実行*/
-jsPsych.run(timeline);
\ No newline at end of file
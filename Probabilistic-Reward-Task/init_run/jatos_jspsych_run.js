@@ -1,4 +0,0 @@
-/*タイムラインの実行*/
-jatos.onLoad(() => {
-  jsPsych.run(timeline);
-});
\ No newline at end of file
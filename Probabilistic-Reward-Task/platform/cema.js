@@ -0,0 +1,534 @@
+/**
+ * cema.js
+ * CEMA のアダプターです。
+ * URL のクエリ パラメーター (participantId、researchContentId、notificationId、researchDetailId) を受け取り、
+ * 課題の終了時に、jsPsych のデータと解析用のファイルを CEMA の API に送信します。
+ * 送信する内容は先に端末 (IndexedDB) に保存し、送信できるまで再試行します。
+ * 再試行しても送信できなかった内容は端末に残り、次に課題のページを開いたときに再送信します。
+ * 送信の後に、送信の結果と、調査の回答を終了するボタン (ウィンドウを閉じます) を表示します。
+ * 本番課題の小休止ごとに、その時点までのデータを端末に保存し、途中経過 (チェックポイント) として送信します。
+ * 同じ参加者が同じ調査のリンクを開き直した場合は、保存したデータから次のブロックを再開します。
+ * 課題の開始の前に、パラメーターの有無と形式を確認し、誤りがある場合はエラー コードを表示して課題を開始しません。
+ */
+
+/**
+ * 結果の送信の設定です。
+ * apiUrl: 結果を送信する CEMA の API の URL です。開発時は、URL のクエリ パラメーター cemaApiUrl で変更できます (getCemaApiUrl)。
+ * maxAttempts: 1 回の送信で試みる回数の上限です。
+ * initialDelay、maxDelay: 再試行までの待ち時間 (msec) の初期値と上限です。待ち時間は再試行ごとに 2 倍にします。
+ * encryptionPublicKey: 送信できなかった場合に参加者がダウンロードするコピーを暗号化する公開鍵 (SPKI 形式の PEM) です。
+ *   空文字列の場合は、参加者のデータを平文で配布しないように、コピーをダウンロードするボタンを表示しません。
+ * pingUrl: 課題の開始の前に接続を確認する URL (API の URL からの相対 URL) です。空文字列の場合は確認しません。
+ * pingTimeout: 接続の確認を待つ時間 (msec) の上限です。
+ * sendingLease: 端末に保存した結果を送信している間、他のタブや再送信が同じ結果を送信しないように確保する時間 (msec) です。
+ *   再試行を含めた 1 回の送信にかかる時間より長くします。送信の途中でページを閉じた場合は、この時間の後に再送信できます。
+ */
+const cemaUploadOptions = {
+  apiUrl: 'https://cema.cpsy-lab.com/api/insert_psych_result',
+  maxAttempts: 5,
+  initialDelay: 1000,
+  maxDelay: 16000,
+  encryptionPublicKey: '',
+  pingUrl: '',
+  pingTimeout: 5000,
+  sendingLease: 120000,
+};
+
+/**
+ * CEMA のパラメーターの形式です。CEMA が発行する ID の形式に合わせて変更します。
+ */
+const cemaParamPatterns = {
+  participantId: /^[A-Za-z0-9_-]{1,64}$/,
+  researchContentId: /^[A-Za-z0-9_-]{1,64}$/,
+  notificationId: /^[A-Za-z0-9_-]{1,64}$/,
+  researchDetailId: /^[A-Za-z0-9_-]{1,64}$/,
+};
+
+/**
+ * 課題を開始できない理由のエラー コードです。
+ * CEMA-1xx は調査のリンクや設定の誤り、CEMA-2xx は接続の誤りを表します。
+ */
+const cemaStartErrorCodes = {
+  missingParams: 'CEMA-101',
+  invalidParams: 'CEMA-102',
+  invalidApiUrl: 'CEMA-103',
+  unreachable: 'CEMA-201',
+};
+
+/**
+ * 端末にデータを保存する IndexedDB のデータベースの名前、バージョンと、オブジェクト ストアです。
+ * unsent: 送信できていない結果です。
+ * progress: 中断したセッションを再開するための途中までのデータです。キーは参加者と調査の組 (getCemaProgressKey) です。
+ */
+const cemaDatabase = {
+  name: 'probabilistic-reward-task-cema',
+  version: 2,
+  stores: {
+    unsent: { keyPath: 'id', autoIncrement: true },
+    progress: { keyPath: 'key' },
+  },
+};
+
+/**
+ * URL のクエリ パラメーターから、CEMA のパラメーターを取得します。
+ */
+const getCemaParams = () => {
+  const params = new URLSearchParams(window.location.search);
+  return {
+    participantId: params.get('participantId'),
+    researchContentId: params.get('researchContentId'),
+    notificationId: params.get('notificationId'),
+    researchDetailId: params.get('researchDetailId'),
+  };
+};
+
+/**
+ * 送信する内容 (JSON) を作成します。
+ * チェックポイントと課題の終了時の結果は、同じ API に送信します。サーバーでは result の checkpoint の有無で区別します。
+ * チェックポイントの result は checkpoint (終えたブロックの番号) を持ち、files を持ちません。
+ * 課題の終了時の result は checkpoint を持たず、files と課題のサマリーの行を持ちます。
+ * @param {*} content 結果に含める内容 (データの行の配列 result、解析用のファイル files など)
+ */
+const buildCemaBody = (content) => {
+  const { participantId, researchContentId, notificationId, researchDetailId } = getCemaParams();
+  const result = {
+    participantId,
+    researchDetailId,
+    researchContentId,
+    ...content,
+  };
+  return JSON.stringify({
+    participantId,
+    researchContentId,
+    notificationId,
+    result: JSON.stringify(result),
+    researchDetailId,
+  });
+};
+
+/////////////////////////////////////////////////
+//// 開始前の確認
+
+/**
+ * CEMA のパラメーターの有無と形式を検証します。
+ * @param {*} params getCemaParams の結果
+ * @returns 誤りがある場合は、課題を開始できない理由を表す誤り (createStartError)。誤りが無い場合は null
+ */
+const validateCemaParams = (params) => {
+  const names = Object.keys(cemaParamPatterns);
+  const missing = names.filter((name) => !params[name]);
+  if (missing.length > 0) {
+    return createStartError(cemaStartErrorCodes.missingParams, '調査のリンクに必要な情報がありません',
+      missing.map((name) => `${name} がありません。`));
+  }
+  const invalid = names.filter((name) => !cemaParamPatterns[name].test(params[name]));
+  if (invalid.length > 0) {
+    return createStartError(cemaStartErrorCodes.invalidParams, '調査のリンクの情報が正しくありません',
+      invalid.map((name) => `${name} の形式が正しくありません。`));
+  }
+  return null;
+};
+
+/**
+ * CEMA の API に接続できるかを確認します。pingUrl が空文字列の場合は確認しません。
+ * 接続できない場合や、pingTimeout までに応答が無い場合は例外を投げます。
+ */
+const pingCemaApi = async () => {
+  if (!cemaUploadOptions.pingUrl) {
+    return;
+  }
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), cemaUploadOptions.pingTimeout);
+  try {
+    const response = await fetch(new URL(cemaUploadOptions.pingUrl, getCemaApiUrl()), { cache: 'no-store', signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * 課題の開始の前に、パラメーター、送信先 (cemaApiUrl) と API への接続を確認します。確認している間は、確認中のメッセージを表示します。
+ * 誤りがある場合は、エラー コードを付けた誤り (createStartError) を投げます。
+ */
+const checkCemaLaunch = async () => {
+  const status = document.createElement('p');
+  status.id = 'preflightStatus';
+  status.textContent = '調査のリンクを確認しています...';
+  document.body.append(status);
+  try {
+    const paramsError = validateCemaParams(getCemaParams());
+    if (paramsError) {
+      throw paramsError;
+    }
+    try {
+      getCemaApiUrl();
+    } catch (error) {
+      throw createStartError(cemaStartErrorCodes.invalidApiUrl, 'データの送信先の設定が正しくありません', [`${error.message}。`]);
+    }
+    try {
+      await pingCemaApi();
+    } catch (error) {
+      console.error('Could not reach the CEMA API:', error);
+      throw createStartError(cemaStartErrorCodes.unreachable, 'データの送信先に接続できません',
+        ['インターネットに接続していることを確認してから、調査のリンクを開き直してください。']);
+    }
+  } finally {
+    status.remove();
+  }
+};
+
+/////////////////////////////////////////////////
+//// 結果の送信
+
+/**
+ * 開発時に cemaApiUrl で指定できる送信先のホスト名です。
+ * 参加者のデータを意図しない送信先に送らないように、端末自身 (ループバック アドレス) に限ります。
+ */
+const cemaDevelopmentHosts = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * 結果を送信する API の URL を返します。
+ * URL のクエリ パラメーター cemaApiUrl を指定した場合は、その URL (cemaDevelopmentHosts のホストに限ります) を使用し、
+ * 指定しない場合は cemaUploadOptions.apiUrl を使用します。cemaApiUrl が正しくない場合は例外を投げます。
+ */
+const getCemaApiUrl = () => {
+  const value = new URLSearchParams(window.location.search).get('cemaApiUrl');
+  if (value === null) {
+    return cemaUploadOptions.apiUrl;
+  }
+  let url;
+  try {
+    url = new URL(value, window.location.href);
+  } catch (error) {
+    throw new Error(`cemaApiUrl が URL として正しくありません: ${value}`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || !cemaDevelopmentHosts.includes(url.hostname)) {
+    throw new Error(`cemaApiUrl には ${cemaDevelopmentHosts.join('、')} の URL のみ指定できます: ${value}`);
+  }
+  return url.href;
+};
+
+/**
+ * 結果を CEMA の API に 1 回送信します。送信できなかった場合は例外を投げます。
+ * @param {string} body 送信する内容 (JSON)
+ */
+const postCemaResult = async (body) => {
+  const response = await fetch(getCemaApiUrl(), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body,
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.text();
+};
+
+/**
+ * 結果を CEMA の API に送信します。送信できなかった場合は、待ち時間を 2 倍にしながら maxAttempts 回まで再試行します。
+ * @param {string} body 送信する内容 (JSON)
+ * @returns 送信できたか (sent)、試みた回数 (attempts)、最後の誤り (error) を格納したオブジェクト
+ */
+const sendCemaResult = async (body) => {
+  let error = null;
+  for (let attempt = 1; attempt <= cemaUploadOptions.maxAttempts; attempt++) {
+    try {
+      console.log('Success:', await postCemaResult(body));
+      return { sent: true, attempts: attempt, error: null };
+    } catch (e) {
+      error = e;
+      console.error(`Error (attempt ${attempt}):`, e);
+    }
+    if (attempt < cemaUploadOptions.maxAttempts) {
+      const delay = Math.min(cemaUploadOptions.initialDelay * 2 ** (attempt - 1), cemaUploadOptions.maxDelay);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+  return { sent: false, attempts: cemaUploadOptions.maxAttempts, error };
+};
+
+/////////////////////////////////////////////////
+//// 端末への保存
+
+/**
+ * IndexedDB のオブジェクト ストアに対して処理を行います。
+ * データベースを作成、または古いバージョンから更新する場合は、不足しているオブジェクト ストアを作成します。
+ * IndexedDB を利用できない環境 (プライベート ブラウズなど) では、例外を投げます。
+ * @param {string} storeName オブジェクト ストアの名前 ('unsent' または 'progress')
+ * @param {string} mode トランザクションのモード ('readonly' または 'readwrite')
+ * @param {Function} operation オブジェクト ストアを受け取り、IDBRequest を返す関数
+ * @returns 処理の結果
+ */
+const accessCemaStore = (storeName, mode, operation) => new Promise((resolve, reject) => {
+  const open = indexedDB.open(cemaDatabase.name, cemaDatabase.version);
+  open.onupgradeneeded = () => {
+    Object.entries(cemaDatabase.stores)
+      .filter(([name]) => !open.result.objectStoreNames.contains(name))
+      .forEach(([name, options]) => open.result.createObjectStore(name, options));
+  };
+  open.onerror = () => reject(open.error);
+  open.onsuccess = () => {
+    const database = open.result;
+    const transaction = database.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => {
+      database.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      database.close();
+      reject(transaction.error);
+    };
+  };
+});
+
+/**
+ * 送信する内容を、送信中の印 (sendingUntil) を付けて端末に保存します。保存できなかった場合は null を返します。
+ * @param {string} body 送信する内容 (JSON)
+ * @returns 保存した内容の ID
+ */
+const enqueueCemaResult = async (body) => {
+  try {
+    const entry = { body, savedAt: new Date().toISOString(), sendingUntil: Date.now() + cemaUploadOptions.sendingLease };
+    return await accessCemaStore('unsent', 'readwrite', (store) => store.add(entry));
+  } catch (error) {
+    console.error('Could not save the result to IndexedDB:', error);
+    return null;
+  }
+};
+
+/**
+ * 送信できた内容を端末から削除します。
+ * @param {number|null} id 保存した内容の ID
+ */
+const dequeueCemaResult = async (id) => {
+  if (id === null) {
+    return;
+  }
+  try {
+    await accessCemaStore('unsent', 'readwrite', (store) => store.delete(id));
+  } catch (error) {
+    console.error('Could not delete the result from IndexedDB:', error);
+  }
+};
+
+/**
+ * 送信できなかった内容の送信中の印を外し、再送信できるようにします。
+ * @param {number|null} id 保存した内容の ID
+ */
+const releaseCemaResult = async (id) => {
+  if (id === null) {
+    return;
+  }
+  try {
+    await accessCemaStore('unsent', 'readwrite', (store) => {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        if (request.result) {
+          store.put({ ...request.result, sendingUntil: 0 });
+        }
+      };
+      return request;
+    });
+  } catch (error) {
+    console.error('Could not update the result in IndexedDB:', error);
+  }
+};
+
+/**
+ * 端末に残っている結果のうち、送信中でない結果に送信中の印を付けて返します。
+ * 読み込みと印の書き込みを 1 つのトランザクションで行うため、他のタブと同じ結果を重ねて送信しません。
+ * @returns 送信中の印を付けた結果の配列
+ */
+const claimCemaResults = async () => {
+  let claimed = [];
+  try {
+    await accessCemaStore('unsent', 'readwrite', (store) => {
+      const request = store.getAll();
+      request.onsuccess = () => {
+        const now = Date.now();
+        claimed = request.result.filter((entry) => !(entry.sendingUntil > now));
+        claimed.forEach((entry) => store.put({ ...entry, sendingUntil: now + cemaUploadOptions.sendingLease }));
+      };
+      return request;
+    });
+  } catch (error) {
+    console.error('Could not read the results from IndexedDB:', error);
+  }
+  return claimed;
+};
+
+/**
+ * 端末に残っている送信できていない結果 (送信中のものを除きます) を再送信し、送信できた内容を削除します。
+ * @returns 再送信できた件数 (sent) と、送信できずに残った件数 (remaining)
+ */
+const resendCemaQueue = async () => {
+  const entries = await claimCemaResults();
+  let sent = 0;
+  for (const entry of entries) {
+    if ((await sendCemaResult(entry.body)).sent) {
+      await dequeueCemaResult(entry.id);
+      sent++;
+    } else {
+      await releaseCemaResult(entry.id);
+    }
+  }
+  return { sent, remaining: entries.length - sent };
+};
+
+/**
+ * 途中までのデータを保存するキー (参加者と調査の組) を返します。
+ */
+const getCemaProgressKey = () => {
+  const { participantId, researchDetailId } = getCemaParams();
+  return `${participantId}/${researchDetailId}`;
+};
+
+/**
+ * 途中までのデータと、終えたブロックの番号を端末に保存します。
+ * @param {*[]} rows データの行の配列
+ * @param {number} block 終えたブロックの番号
+ * @returns 保存できたか
+ */
+const saveCemaProgress = async (rows, block) => {
+  try {
+    await accessCemaStore('progress', 'readwrite', (store) => store.put({ key: getCemaProgressKey(), block, rows, savedAt: new Date().toISOString() }));
+    return true;
+  } catch (error) {
+    console.error('Could not save the progress to IndexedDB:', error);
+    return false;
+  }
+};
+
+/**
+ * 端末に保存した途中までのデータを読み込みます。保存していない場合や、読み込めなかった場合は null を返します。
+ * @returns 終えたブロックの番号 (block) と、データの行の配列 (rows) を格納したオブジェクト
+ */
+const loadCemaProgress = async () => {
+  try {
+    const entry = await accessCemaStore('progress', 'readonly', (store) => store.get(getCemaProgressKey()));
+    return entry ? { block: entry.block, rows: entry.rows } : null;
+  } catch (error) {
+    console.error('Could not read the progress from IndexedDB:', error);
+    return null;
+  }
+};
+
+/**
+ * 端末に保存した途中までのデータを削除します。
+ */
+const clearCemaProgress = async () => {
+  try {
+    await accessCemaStore('progress', 'readwrite', (store) => store.delete(getCemaProgressKey()));
+  } catch (error) {
+    console.error('Could not delete the progress from IndexedDB:', error);
+  }
+};
+
+/////////////////////////////////////////////////
+//// 終了画面
+
+/**
+ * 送信できなかった結果を encryptionPublicKey で暗号化したコピー (export.js の encryptBackup) をダウンロードします。
+ * @param {string} body 送信する内容 (JSON)
+ */
+const downloadCemaBackup = async (body) => {
+  const { participantId } = getCemaParams();
+  const filename = `prt_${getBidsSubjectLabel(participantId)}_${Date.now()}`;
+  downloadTextFile(await encryptBackup(body, cemaUploadOptions.encryptionPublicKey), `${filename}.encrypted.json`);
+};
+
+/**
+ * 送信の結果に応じたメッセージと、送信できなかった場合はコピーをダウンロードするボタンを、終了するボタンの前に表示します。
+ * 送信する内容を作成できなかった場合 (body が無い場合) と、encryptionPublicKey が空の場合は、ダウンロードするボタンを表示しません。
+ * @param {*} result saveFinalData の結果 (sent、queued、body)、または saveFinalData の誤り (error)
+ */
+const showCemaResult = (result) => {
+  const message = document.createElement('p');
+  message.id = 'uploadStatus';
+  const elements = [message];
+  if (result.sent) {
+    message.textContent = 'データを送信しました。';
+  } else if (!result.body || !cemaUploadOptions.encryptionPublicKey) {
+    message.textContent = 'データを送信できませんでした。'
+      + (result.queued ? 'データはこの端末に保存し、次にこの課題を開いたときに再送信します。' : '')
+      + '研究の担当者にお知らせください。';
+  } else {
+    message.textContent = 'データを送信できませんでした。'
+      + (result.queued ? 'データはこの端末に保存し、次にこの課題を開いたときに再送信します。' : '')
+      + '下のボタンからデータのコピーをダウンロードし、研究の担当者に送ってください。';
+    const download = document.createElement('button');
+    download.id = 'downloadButton';
+    download.textContent = 'データのコピーをダウンロード';
+    download.addEventListener('click', () => {
+      downloadCemaBackup(result.body)
+        .catch((error) => showTaskError(error, 'データのコピーをダウンロードできませんでした。', true));
+    });
+    elements.push(download);
+  }
+  const finishButton = document.getElementById('finishButton');
+  elements.forEach((element) => finishButton.before(element));
+  finishButton.style.display = 'inline-block';
+};
+
+/////////////////////////////////////////////////
+//// アダプター
+
+registerPlatformAdapter('cema', {
+  // jsPsych を表示する要素と、その外側に調査の回答を終了するボタン (送信の後まで非表示) を配置します。
+  // 前回までに送信できなかった結果があれば、課題と並行して再送信します。
+  // 途中までのデータが端末に保存されていれば、次のブロックから再開します。
+  // 調査のリンク、送信先 (cemaApiUrl) または API への接続に誤りがある場合は、課題を開始しません。
+  start: async () => {
+    await checkCemaLaunch();
+    const displayElement = document.createElement('div');
+    displayElement.id = 'jspsych-display-element';
+    const button = document.createElement('button');
+    button.id = 'finishButton';
+    button.textContent = '調査の回答を終了';
+    button.addEventListener('click', () => window.close());
+    document.body.append(displayElement, button);
+    resendCemaQueue().catch((error) => console.error('Could not resend the results:', error));
+    return { displayElement, resume: await loadCemaProgress() };
+  },
+  getParticipantMetadata: () => {
+    const { participantId, researchDetailId } = getCemaParams();
+    return { participantId, researchDetailId };
+  },
+  // 途中までのデータを端末に保存し、終えたブロックの番号 (checkpoint) を付けて送信します。
+  // 送信できなかったチェックポイントは、課題の終了時にすべてのデータを送信するため、再送信しません。
+  // 送信できたか (sent) と端末に保存できたか (stored) を返し、送信できなかった場合は platform.js が通知を表示します。
+  savePartialData: async ({ data, block }) => {
+    const rows = JSON.parse(data.json());
+    const stored = await saveCemaProgress(rows, block);
+    const { sent } = await sendCemaResult(buildCemaBody({ checkpoint: block, result: rows }));
+    return { sent, stored };
+  },
+  // 送信する内容を端末に保存してから送信し、送信できた場合は端末から削除します。
+  // 結果を送信または端末に保存できた場合は、途中までのデータを削除します。
+  saveFinalData: async ({ data, files }) => {
+    const body = buildCemaBody({
+      result: JSON.parse(data.json()),
+      files: Object.fromEntries(files.map((file) => [file.filename, file.text])),
+    });
+    const id = await enqueueCemaResult(body);
+    const { sent, attempts } = await sendCemaResult(body);
+    if (sent) {
+      await dequeueCemaResult(id);
+    } else {
+      await releaseCemaResult(id);
+    }
+    if (sent || (id !== null)) {
+      await clearCemaProgress();
+    }
+    return { sent, attempts, queued: !sent && (id !== null), body };
+  },
+  finish: async (result) => {
+    showCemaResult(result);
+  },
+});
@@ -0,0 +1,11 @@
+/**
+ * demo.js
+ * デモ (ローカルでの実行) のアダプターです。
+ * 課題の終了時に、jsPsych のデータ (data.csv) と解析用のファイルをダウンロードします。
+ */
+registerPlatformAdapter('demo', {
+  saveFinalData: async ({ data, files }) => {
+    data.localSave('csv', 'data.csv');
+    files.forEach((file) => downloadTextFile(file.text, file.filename));
+  },
+});
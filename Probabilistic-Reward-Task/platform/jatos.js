@@ -0,0 +1,42 @@
+/**
+ * jatos.js
+ * JATOS のアダプターです。
+ * JATOS のライブラリ (jatos.js) を読み込み、ワーカーの ID とコンポーネントの名前をすべてのデータに付加します。
+ * 小休止ごとにその時点までのデータを、課題の終了時にすべてのデータを結果データとして送信し、
+ * 解析用のファイルを結果ファイルとしてアップロードしてから、次のコンポーネントに進みます。
+ * 課題の終了時の送信またはアップロードに失敗した場合は、誤りを表示したまま、次のコンポーネントには進みません。
+ */
+registerPlatformAdapter('jatos', {
+  start: async () => {
+    await loadScript('jatos.js');
+    await new Promise((resolve) => jatos.onLoad(resolve));
+    return {};
+  },
+  getParticipantMetadata: () => ({
+    workerID: jatos.workerId,
+    taskName: jatos.componentProperties.title,
+  }),
+  savePartialData: async ({ data }) => {
+    await jatos.submitResultData(data.json());
+  },
+  // すべての送信とアップロードを試みてから、失敗したものがあれば、その内容を詳細に格納した誤りを投げます。
+  saveFinalData: async ({ data, files }) => {
+    const uploads = files.map((file) => jatos.uploadResultFile(file.text, file.filename));
+    const results = await Promise.allSettled([...uploads, jatos.submitResultData(data.json())]);
+    const targets = [...files.map((file) => file.filename), '結果データ'];
+    const failures = results
+      .map((result, index) => (result.status == 'rejected') ? `${targets[index]}: ${(result.reason && result.reason.message) || result.reason}` : null)
+      .filter((failure) => failure !== null);
+    if (failures.length > 0) {
+      const error = new Error('結果を JATOS に送信できませんでした');
+      error.details = failures;
+      throw error;
+    }
+  },
+  finish: async (result) => {
+    if (result && result.error) {
+      return;
+    }
+    jatos.startNextComponent();
+  },
+});
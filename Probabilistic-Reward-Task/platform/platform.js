@@ -0,0 +1,219 @@
+/**
+ * platform.js
+ * 課題を実施する環境 (プラットフォーム) のアダプターを選択し、課題を実行するスクリプトです。
+ * Probabilistic-Reward-Task.html から、task.js に続けて読み込みます。
+ * アダプターは platform フォルダーの <プラットフォームの名前>.js に定義し、registerPlatformAdapter で登録します。
+ * 新しいプラットフォームを追加する場合は、アダプターのファイルを 1 つ追加し、URL のクエリ パラメーター platform にその名前を指定します。
+ */
+
+/////////////////////////////////////////////////
+//// アダプター
+
+/**
+ * アダプターのメソッドの既定の動作です。アダプターは、必要なメソッドのみを定義します。
+ * start: jsPsych の初期化の前に、プラットフォームを準備します。
+ *   jsPsych を表示する要素 (displayElement) と、中断したセッションを再開する場合の記録 (resume) を格納したオブジェクトを返すことができます。
+ *   resume は、終えたブロックの番号 (block) と、前回までのデータの行の配列 (rows) を格納したオブジェクトです。
+ * getParticipantMetadata: すべてのデータに付加する参加者の情報 (列の名前と値のオブジェクト) を返します。
+ * savePartialData: 本番課題の小休止ごとに、その時点までのデータを保存します。
+ *   引数は jsPsych のデータ (data) と、終了したブロックの番号 (block) を格納したオブジェクトです。
+ * saveFinalData: 課題の終了時に、すべてのデータを保存します。
+ *   引数は jsPsych のデータ (data) と、解析用のファイル (files、getExportFiles の結果) を格納したオブジェクトです。
+ *   戻り値は finish に渡します。
+ * finish: データの保存の後に、課題を終了します (終了の操作の表示、次の画面への移動など)。
+ */
+const defaultPlatformAdapter = {
+  start: async () => ({}),
+  getParticipantMetadata: () => ({}),
+  savePartialData: async () => {},
+  saveFinalData: async () => {},
+  finish: async () => {},
+};
+
+/**
+ * 課題を開始できない理由を表す誤りを生成します。アダプターの start は、この誤りを投げて課題の開始を中止します。
+ * @param {string} code 誤りの種類を表すコード (参加者が研究の担当者に伝えるために、画面に表示します)
+ * @param {string} message 誤りの内容
+ * @param {string[]} details 誤りの詳細
+ */
+const createStartError = (code, message, details = []) => Object.assign(new Error(message), { code, details });
+
+/**
+ * 登録したアダプターです。キーはプラットフォームの名前です。
+ */
+const platformAdapters = new Map();
+
+/**
+ * アダプターを登録します。定義していないメソッドには既定の動作を使用します。
+ * @param {string} name プラットフォームの名前
+ * @param {*} adapter アダプター
+ */
+const registerPlatformAdapter = (name, adapter) => {
+  platformAdapters.set(name, { ...defaultPlatformAdapter, ...adapter });
+};
+
+/**
+ * URL のクエリ パラメーターから、課題を実施するプラットフォームの名前を求めます。
+ * platform を指定しない場合は、CEMA のパラメーター (researchDetailId) があれば 'cema'、
+ * JATOS から実行している (パラメーター srid があるか、パスに /publix/ を含む) 場合は 'jatos'、いずれでも無い場合は 'demo' とします。
+ */
+const getPlatformName = () => {
+  const params = new URLSearchParams(window.location.search);
+  if (params.has('platform')) {
+    return params.get('platform');
+  }
+  if (params.has('researchDetailId')) {
+    return 'cema';
+  }
+  if (params.has('srid') || window.location.pathname.includes('/publix/')) {
+    return 'jatos';
+  }
+  return 'demo';
+};
+
+/**
+ * プラットフォームのアダプターのファイルを読み込み、登録されたアダプターを返します。
+ * @param {string} name プラットフォームの名前
+ */
+const loadPlatformAdapter = async (name) => {
+  if (!/^[a-z0-9_-]+$/.test(name)) {
+    throw new Error(`プラットフォームの名前が正しくありません (${name})`);
+  }
+  if (!platformAdapters.has(name)) {
+    await loadScript(`Probabilistic-Reward-Task/platform/${name}.js`);
+  }
+  if (!platformAdapters.has(name)) {
+    throw new Error(`プラットフォーム ${name} のアダプターが登録されていません`);
+  }
+  return platformAdapters.get(name);
+};
+
+/**
+ * スクリプトのファイルを読み込みます。
+ * @param {string} src スクリプトのパス
+ */
+const loadScript = (src) => new Promise((resolve, reject) => {
+  const script = document.createElement('script');
+  script.src = src;
+  script.onload = () => resolve();
+  script.onerror = () => reject(new Error(`${src} を読み込めません`));
+  document.head.appendChild(script);
+});
+
+/////////////////////////////////////////////////
+//// 課題の実行
+
+/**
+ * jsPsych のインスタンスです。runTask で初期化します。
+ */
+var jsPsych = null;
+
+/**
+ * 本番課題の小休止の試行の name です。小休止の開始時に、その時点までのデータを保存します。
+ * 小休止の間にページを閉じた場合も、終えたブロックまでのデータが残ります。
+ */
+const partialSaveTrialName = 'break time';
+
+/**
+ * 課題の誤りを記録し、画面に表示します。
+ * 誤りにコード (code) と詳細 (details) がある場合は、それらも表示します (createStartError)。
+ * 課題を続けられない誤りは、jsPsych の表示 (初期化の前はページ全体) を置き換えて表示します。
+ * 課題を続けられる誤り (notice) は、課題の表示を残したまま、画面の上部に表示します。
+ * @param {Error} error 誤り
+ * @param {string} title 誤りの見出し
+ * @param {boolean} notice 課題を続けられる誤りであるか
+ */
+const showTaskError = (error, title, notice = false) => {
+  console.error(title, error);
+  const container = document.createElement('div');
+  container.className = notice ? 'taskNotice' : 'taskError';
+  const lines = [title, `${error.message}。`, ...(error.details || [])];
+  if (error.code) {
+    lines.push(`エラー コード: ${error.code}`, '研究の担当者に、このエラー コードをお知らせください。');
+  }
+  lines.forEach((line) => {
+    const paragraph = document.createElement('p');
+    paragraph.textContent = line;
+    container.append(paragraph);
+  });
+  if (notice) {
+    document.querySelectorAll('.taskNotice').forEach((element) => element.remove());
+    document.body.prepend(container);
+  } else {
+    (jsPsych ? jsPsych.getDisplayElement() : document.body).replaceChildren(container);
+  }
+};
+
+/**
+ * 課題を開始できない理由を画面に表示します。
+ * @param {Error} error 誤り
+ */
+const showStartError = (error) => showTaskError(error, '課題を開始できません。');
+
+/**
+ * 課題の終了時に、課題のサマリーを加えてから、アダプターでデータを保存し、課題を終了します。
+ * データを保存できなかった場合も、誤りを表示してから、誤り (error) を格納したオブジェクトを渡して finish を呼び出します。
+ * @param {*} adapter アダプター
+ */
+const finishTask = async (adapter) => {
+  let result;
+  try {
+    appendTaskSummary();
+    result = await adapter.saveFinalData({ data: jsPsych.data.get(), files: getExportFiles() });
+  } catch (error) {
+    showTaskError(error, 'データを保存できませんでした。');
+    result = { error };
+  }
+  try {
+    await adapter.finish(result);
+  } catch (error) {
+    showTaskError(error, '課題を終了できませんでした。');
+  }
+};
+
+/**
+ * アダプターを選択し、jsPsych を初期化して課題を実行します。課題の終了時には finishTask を呼び出します。
+ * アダプターを読み込めない場合や、アダプターの start が例外を投げた場合は、理由を画面に表示して課題を開始しません。
+ * 途中までのデータを保存できなかった場合と、送信できなかった (savePartialData が sent: false を返した) 場合は、
+ * 画面の上部に通知を表示して課題を続けます。
+ */
+const runTask = async () => {
+  const name = getPlatformName();
+  let adapter;
+  let options;
+  try {
+    adapter = await loadPlatformAdapter(name);
+    document.body.dataset.platform = name;
+    options = await adapter.start();
+  } catch (error) {
+    showStartError(error);
+    return;
+  }
+
+  jsPsych = initJsPsych({
+    ...(options && options.displayElement ? { display_element: options.displayElement } : {}),
+    on_trial_start: (trial) => {
+      if (trial.data && trial.data.name == partialSaveTrialName) {
+        const last = jsPsych.data.get().filter({ name: 'signal for reward' }).last(1).values()[0];
+        Promise.resolve()
+          .then(() => adapter.savePartialData({ data: jsPsych.data.get(), block: last ? last.block : null }))
+          .then((result) => {
+            if (result && result.sent === false) {
+              const message = result.stored ? 'データはこの端末に保存しました' : 'データは課題の終了時にまとめて送信します';
+              showTaskError(new Error(message), '途中までのデータを送信できませんでした。', true);
+            }
+          })
+          .catch((error) => showTaskError(error, '途中までのデータを保存できませんでした。', true));
+      }
+    },
+    on_finish: () => finishTask(adapter),
+  });
+  try {
+    jsPsych.data.addProperties(adapter.getParticipantMetadata());
+    await jsPsych.run(await loadTaskTimeline(options && options.resume));
+  } catch (error) {
+    showTaskError(error, '課題を続けられません。');
+  }
+};
+
+runTask();
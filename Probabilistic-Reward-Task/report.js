@@ -0,0 +1,490 @@
+/**
+ * report.js
+ * Probabilistic Reward 課題で書き出したデータのファイルを読み込み、参加者ごとの結果を表示するスクリプトです。
+ * report_Probabilistic-Reward-Task.html から、analysis.js と export.js に続けて読み込みます。
+ */
+
+/////////////////////////////////////////////////
+//// ファイルの読み込み
+
+/**
+ * 読み込んだ参加者ごとの結果の配列です。
+ */
+let reportParticipants = [];
+
+/**
+ * データのファイルの内容から、参加者ごとの試行の表と設定を取得します。
+ * 次の形式のファイルを読み込めます。
+ *   jsPsych のデータ (デモの data.csv、JATOS の結果の JSON): name が 'signal for reward' の行から試行の表を生成します。
+ *   試行ごとの表 (trials.csv、trials.json): そのまま使用します。
+ *   CEMA に送信したデータ (participantId と result を持つ JSON): result を jsPsych のデータとして扱います。
+ *     CEMA で送信できなかった場合にダウンロードしたコピーも、この形式です。
+ * @param {string} text ファイルの内容
+ * @param {string} filename ファイル名
+ * @returns 参加者のラベル (label)、ファイル名 (filename)、試行の表 (trials)、
+ *   データに記録された設定 (settings、記録されていない場合は null) を格納したオブジェクト
+ */
+const parseReportFile = (text, filename) => {
+  let label = filename.replace(/\.[^.]*$/, '');
+  let rows = text.trim().startsWith('{') ? JSON.parse(text) : parseTableText(text);
+
+  // CEMA に送信したデータの場合は、result を jsPsych のデータとして扱います。
+  if (!Array.isArray(rows)) {
+    if (rows.participantId) {
+      label = String(rows.participantId);
+    }
+    rows = (typeof rows.result == 'string') ? JSON.parse(rows.result) : rows.result;
+    if (rows && !Array.isArray(rows) && Array.isArray(rows.result)) {
+      rows = rows.result;
+    }
+    if (!Array.isArray(rows)) {
+      throw new Error('データの形式が正しくありません');
+    }
+  }
+  rows = rows.map((row) => Object.fromEntries(Object.entries(row).map(([column, value]) => [column, parseDataValue(value)])));
+
+  // jsPsych のデータの場合は、試行ごとの表に変換します。
+  if (rows.some((row) => row.name !== undefined)) {
+    const settingsRow = rows.find((row) => row.name == 'settings');
+    const workerRow = rows.find((row) => row.workerID !== undefined && row.workerID !== null);
+    if (workerRow) {
+      label = String(workerRow.workerID);
+    }
+    return { label, filename, trials: buildTrialTable(rows), settings: settingsRow ? settingsRow.settings : null };
+  }
+  if (!rows.some((row) => (row.trial_count !== undefined) && (row.frequency !== undefined))) {
+    throw new Error('課題の試行が見つかりません');
+  }
+  return { label, filename, trials: [...rows].sort((a, b) => a.trial_count - b.trial_count), settings: null };
+};
+
+/**
+ * CSV から読み込んだ文字列の値を、数値、bool 値、null、配列およびオブジェクト (JSON) に変換します。
+ * 変換できない場合と、文字列以外の値はそのまま返します。
+ * @param {*} value
+ */
+const parseDataValue = (value) => {
+  if (typeof value != 'string') {
+    return value;
+  }
+  if ((value === '') || (value == 'null')) {
+    return null;
+  }
+  if ((value == 'true') || (value == 'false')) {
+    return value == 'true';
+  }
+  if (/^-?\d+(\.\d+)?(e[-+]?\d+)?$/i.test(value)) {
+    return Number(value);
+  }
+  if (/^[[{]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+  return value;
+};
+
+/////////////////////////////////////////////////
+//// 参加者ごとの集計
+
+/**
+ * 参加者の試行の表を集計します。
+ * 反応時間の基準は、データに記録された設定の rtFilter を優先し、記録されていない場合や、
+ * 画面の基準を使用するように選択した場合 (preferPageFilter) は画面で指定した値を使用します。
+ * データの品質は、データに記録された設定の qualityControl がある場合に確認します。
+ * @param {*} participant parseReportFile で取得したオブジェクト
+ * @param {*} rtFilter 画面で指定した反応時間の基準
+ * @param {boolean} preferPageFilter 記録された基準の代わりに、画面で指定した基準を使用するか
+ * @returns participant に、課題のサマリー (summary) と使用した反応時間の基準 (rtFilter) を加えたオブジェクト
+ */
+const summarizeParticipant = (participant, rtFilter, preferPageFilter = false) => {
+  const recorded = participant.settings ? participant.settings.rtFilter : null;
+  const filter = (recorded && !preferPageFilter) ? recorded : rtFilter;
+  const qualityControl = participant.settings ? participant.settings.qualityControl : undefined;
+  return { ...participant, rtFilter: filter, summary: summarizeTask(participant.trials, { rtFilter: filter, qualityControl }) };
+};
+
+/**
+ * 信号検出理論の指標から正答率を求めます。試行が無い場合は null とします。
+ * @param {*} detection computeSignalDetection の結果
+ */
+const getAccuracy = (detection) => (detection.trials > 0)
+  ? (detection.rich_correct + detection.lean_correct) / detection.trials
+  : null;
+
+/**
+ * 集計表の列です。ブロックごとの列 (block1_accuracy など) は、読み込んだデータのブロックの数に応じて加えます。
+ */
+const reportSummaryColumns = [
+  'participant', 'filename', 'trials', 'kept_trials', 'accuracy', 'rich_hit_rate', 'lean_hit_rate',
+  'log_b', 'log_d', 'mean_rt', 'median_rt', 'rewarded_count', 'qc_passed', 'qc_reasons',
+];
+
+/**
+ * 参加者ごとの結果を、1 人を 1 行とする集計表に変換します。
+ * @param {*[]} participants summarizeParticipant で集計したオブジェクトの配列
+ * @returns 列の名前の配列 (columns) と行の配列 (rows)
+ */
+const buildReportSummaryTable = (participants) => {
+  const blocks = [...new Set(participants.flatMap((participant) => participant.summary.signal_detection.blocks.map((block) => block.block)))]
+    .sort((a, b) => a - b);
+  const columns = [
+    ...reportSummaryColumns,
+    ...blocks.flatMap((block) => ['accuracy', 'log_b', 'log_d', 'mean_rt'].map((name) => `block${block}_${name}`)),
+  ];
+  const rows = participants.map((participant) => {
+    const detection = participant.summary.signal_detection;
+    const reactionTime = participant.summary.reaction_time;
+    const qualityControl = participant.summary.quality_control;
+    let row = {
+      participant: participant.label,
+      filename: participant.filename,
+      trials: participant.trials.length,
+      kept_trials: participant.summary.rt_filter.kept_count,
+      accuracy: getAccuracy(detection.overall),
+      rich_hit_rate: detection.overall.rich_hit_rate,
+      lean_hit_rate: detection.overall.lean_hit_rate,
+      log_b: detection.overall.log_b,
+      log_d: detection.overall.log_d,
+      mean_rt: reactionTime.overall.mean_rt,
+      median_rt: reactionTime.overall.median_rt,
+      rewarded_count: participant.trials.filter((trial) => trial.reward_delivered).length,
+      qc_passed: qualityControl ? qualityControl.passed : null,
+      qc_reasons: qualityControl ? qualityControl.reasons.map((reason) => reason.indicator).join(';') : null,
+    };
+    detection.blocks.forEach((block, index) => {
+      row[`block${block.block}_accuracy`] = getAccuracy(block);
+      row[`block${block.block}_log_b`] = block.log_b;
+      row[`block${block.block}_log_d`] = block.log_d;
+      row[`block${block.block}_mean_rt`] = reactionTime.blocks[index].mean_rt;
+    });
+    return row;
+  });
+  return { columns, rows };
+};
+
+/////////////////////////////////////////////////
+//// グラフ
+
+/**
+ * グラフの大きさと余白 (px) です。
+ */
+const reportChartSize = { width: 480, height: 240, left: 50, right: 110, top: 15, bottom: 40 };
+
+/**
+ * 折れ線グラフを SVG 要素として生成します。
+ * @param {*[]} series 系列 (label: 凡例、color: 色、points: [x, y] の配列) の配列
+ * @param {*} axes 軸の見出し (xLabel、yLabel)
+ */
+const drawLineChart = (series, axes) => {
+  const points = series.flatMap((line) => line.points).filter(([, y]) => (y !== null) && Number.isFinite(y));
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  const chart = createChart(
+    [Math.min(...xs), Math.max(...xs)],
+    [Math.min(0, ...ys), Math.max(...ys)],
+    axes,
+  );
+  series.forEach((line, index) => {
+    const valid = line.points.filter(([, y]) => (y !== null) && Number.isFinite(y));
+    const path = valid.map(([x, y], i) => `${(i == 0) ? 'M' : 'L'}${chart.x(x)},${chart.y(y)}`).join(' ');
+    chart.add('path', { d: path, fill: 'none', stroke: line.color, 'stroke-width': 2 });
+    if (valid.length <= 20) {
+      valid.forEach(([x, y]) => chart.add('circle', { cx: chart.x(x), cy: chart.y(y), r: 3, fill: line.color }));
+    }
+    chart.legend(line.label, line.color, index);
+  });
+  return chart.svg;
+};
+
+/**
+ * 度数分布のグラフ (ヒストグラム) を SVG 要素として生成します。
+ * 系列は同じ階級の中で横に並べて描きます。
+ * @param {*[]} series 系列 (label: 凡例、color: 色、values: 値の配列) の配列
+ * @param {number} binWidth 階級の幅
+ * @param {*} axes 軸の見出し (xLabel、yLabel)
+ */
+const drawHistogram = (series, binWidth, axes) => {
+  const values = series.flatMap((bars) => bars.values);
+  const min = Math.floor(Math.min(...values) / binWidth) * binWidth;
+  const binCount = Math.max(1, Math.floor((Math.max(...values) - min) / binWidth) + 1);
+  const counts = series.map((bars) => {
+    let bins = new Array(binCount).fill(0);
+    bars.values.forEach((value) => bins[Math.floor((value - min) / binWidth)]++);
+    return bins;
+  });
+  const chart = createChart([min, min + binCount * binWidth], [0, Math.max(1, ...counts.flat())], axes);
+  const barWidth = (chart.x(min + binWidth) - chart.x(min)) / series.length;
+  series.forEach((bars, index) => {
+    counts[index].forEach((count, bin) => {
+      chart.add('rect', {
+        x: chart.x(min + bin * binWidth) + index * barWidth,
+        y: chart.y(count),
+        width: Math.max(barWidth - 1, 1),
+        height: chart.y(0) - chart.y(count),
+        fill: bars.color,
+      });
+    });
+    chart.legend(bars.label, bars.color, index);
+  });
+  return chart.svg;
+};
+
+/**
+ * 軸と目盛りを描いた SVG 要素と、値から座標への変換、要素の追加を行う関数を生成します。
+ * @param {number[]} xRange x 軸の範囲
+ * @param {number[]} yRange y 軸の範囲
+ * @param {*} axes 軸の見出し (xLabel、yLabel)
+ */
+const createChart = (xRange, yRange, axes) => {
+  const size = reportChartSize;
+  const namespace = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(namespace, 'svg');
+  svg.setAttribute('width', size.width);
+  svg.setAttribute('height', size.height);
+  svg.setAttribute('class', 'chart');
+
+  // 範囲の幅が 0 の場合は、前後に広げます。
+  const [x0, x1] = (xRange[0] == xRange[1]) ? [xRange[0] - 1, xRange[1] + 1] : xRange;
+  const [y0, y1] = (yRange[0] == yRange[1]) ? [yRange[0] - 1, yRange[1] + 1] : yRange;
+  const plotRight = size.width - size.right;
+  const plotBottom = size.height - size.bottom;
+  const x = (value) => size.left + (value - x0) / (x1 - x0) * (plotRight - size.left);
+  const y = (value) => plotBottom - (value - y0) / (y1 - y0) * (plotBottom - size.top);
+  const add = (tag, attributes, text) => {
+    const element = document.createElementNS(namespace, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    if (text !== undefined) {
+      element.textContent = text;
+    }
+    svg.appendChild(element);
+    return element;
+  };
+  const format = (value) => String(Number(value.toPrecision(3)));
+
+  // 軸、目盛り、軸の見出しを描きます。
+  add('line', { x1: size.left, y1: plotBottom, x2: plotRight, y2: plotBottom, stroke: '#333' });
+  add('line', { x1: size.left, y1: size.top, x2: size.left, y2: plotBottom, stroke: '#333' });
+  [0, 0.5, 1].forEach((ratio) => {
+    const xValue = x0 + (x1 - x0) * ratio;
+    const yValue = y0 + (y1 - y0) * ratio;
+    add('text', { x: x(xValue), y: plotBottom + 15, 'text-anchor': 'middle', class: 'tick' }, format(xValue));
+    add('text', { x: size.left - 5, y: y(yValue) + 4, 'text-anchor': 'end', class: 'tick' }, format(yValue));
+  });
+  if ((y0 < 0) && (y1 > 0)) {
+    add('line', { x1: size.left, y1: y(0), x2: plotRight, y2: y(0), stroke: '#bbb', 'stroke-dasharray': '4 3' });
+  }
+  add('text', { x: (size.left + plotRight) / 2, y: size.height - 5, 'text-anchor': 'middle', class: 'axis' }, axes.xLabel);
+  add('text', { x: 12, y: (size.top + plotBottom) / 2, 'text-anchor': 'middle', class: 'axis',
+    transform: `rotate(-90 12 ${(size.top + plotBottom) / 2})` }, axes.yLabel);
+
+  // 凡例を描きます。
+  const legend = (label, color, index) => {
+    add('rect', { x: plotRight + 10, y: size.top + index * 18, width: 10, height: 10, fill: color });
+    add('text', { x: plotRight + 25, y: size.top + index * 18 + 9, class: 'tick' }, label);
+  };
+  return { svg, x, y, add, legend };
+};
+
+/////////////////////////////////////////////////
+//// 画面の表示
+
+/**
+ * グラフの系列の色です。
+ */
+const reportColors = { rich: '#d62728', lean: '#1f77b4', logB: '#ff7f0e', logD: '#2ca02c', accuracy: '#9467bd' };
+
+/**
+ * 要素を生成します。
+ * @param {string} tag 要素の名前
+ * @param {*} properties 要素に設定するプロパティ (textContent、className など)
+ * @param {Node[]} children 子要素の配列
+ */
+const createElement = (tag, properties = {}, children = []) => {
+  const element = Object.assign(document.createElement(tag), properties);
+  children.forEach((child) => element.appendChild(child));
+  return element;
+};
+
+/**
+ * 行の配列を表 (table 要素) として生成します。数値は小数点以下 3 桁に丸めて表示します。
+ * @param {*[]} rows 行の配列
+ * @param {string[]} columns 列の名前の配列
+ */
+const createTable = (rows, columns) => {
+  const format = (value) => (typeof value == 'number' && !Number.isInteger(value)) ? value.toFixed(3)
+    : (value === null || value === undefined) ? '' : String(value);
+  return createElement('table', {}, [
+    createElement('thead', {}, [createElement('tr', {}, columns.map((column) => createElement('th', { textContent: column })))]),
+    createElement('tbody', {}, rows.map((row) => createElement('tr', {}, columns.map((column) => createElement('td', { textContent: format(row[column]) }))))),
+  ]);
+};
+
+/**
+ * 参加者 1 人分の結果 (ブロックごとの表、正答率と log b、log d の推移、反応時間の分布、報酬の推移) を表示する要素を生成します。
+ * @param {*} participant summarizeParticipant で集計したオブジェクト
+ */
+const renderParticipant = (participant) => {
+  const detection = participant.summary.signal_detection;
+  const reactionTime = participant.summary.reaction_time;
+  const blocks = detection.blocks.map((block, index) => ({
+    block: block.block,
+    trials: block.trials,
+    accuracy: getAccuracy(block),
+    rich_hit_rate: block.rich_hit_rate,
+    lean_hit_rate: block.lean_hit_rate,
+    log_b: block.log_b,
+    log_d: block.log_d,
+    mean_rt: reactionTime.blocks[index].mean_rt,
+  }));
+
+  // 反応時間の分布は、反応時間の基準で除外しなかった試行から描きます。
+  const keptTrials = participant.trials.filter((trial, index) => participant.summary.rt_filter.trials[index].kept);
+  const rts = (frequency) => keptTrials.filter((trial) => trial.frequency == frequency).map((trial) => trial.rt);
+
+  // 報酬の推移は、刺激ごとの報酬を得た回数の累計で描きます。
+  const cumulative = (frequency) => {
+    let count = 0;
+    return participant.trials.map((trial) => {
+      count += (trial.reward_delivered && (trial.frequency == frequency)) ? 1 : 0;
+      return [trial.trial_count, count];
+    });
+  };
+
+  let charts = [];
+  if (blocks.length > 0) {
+    charts.push(drawLineChart([
+      { label: 'accuracy', color: reportColors.accuracy, points: blocks.map((block) => [block.block, block.accuracy]) },
+      { label: 'log b', color: reportColors.logB, points: blocks.map((block) => [block.block, block.log_b]) },
+      { label: 'log d', color: reportColors.logD, points: blocks.map((block) => [block.block, block.log_d]) },
+    ], { xLabel: 'ブロック', yLabel: '値' }));
+  }
+  if (keptTrials.length > 0) {
+    charts.push(drawHistogram([
+      { label: 'rich', color: reportColors.rich, values: rts('frequent') },
+      { label: 'lean', color: reportColors.lean, values: rts('infrequent') },
+    ], 100, { xLabel: '反応時間 (msec)', yLabel: '試行数' }));
+  }
+  if (participant.trials.length > 0) {
+    charts.push(drawLineChart([
+      { label: 'rich', color: reportColors.rich, points: cumulative('frequent') },
+      { label: 'lean', color: reportColors.lean, points: cumulative('infrequent') },
+    ], { xLabel: '試行', yLabel: '報酬を得た回数 (累計)' }));
+  }
+
+  const rtFilter = participant.rtFilter;
+  return createElement('section', { className: 'participant' }, [
+    createElement('h2', { textContent: `${participant.label} (${participant.filename})` }),
+    createElement('p', {
+      textContent: `試行数: ${participant.trials.length}、集計に含めた試行数: ${participant.summary.rt_filter.kept_count}`
+        + ` (反応時間の基準: ${rtFilter.minRt}〜${rtFilter.maxRt || '上限なし'} msec、${rtFilter.sdCriterion} SD)`,
+    }),
+    ...(participant.summary.quality_control ? [renderQualityControl(participant.summary.quality_control)] : []),
+    createTable(blocks, ['block', 'trials', 'accuracy', 'rich_hit_rate', 'lean_hit_rate', 'log_b', 'log_d', 'mean_rt']),
+    createElement('div', { className: 'charts' }, charts),
+  ]);
+};
+
+/**
+ * データの品質の確認の結果 (合否と不合格の理由) を表示する要素を生成します。
+ * @param {*} qualityControl assessDataQuality の結果
+ */
+const renderQualityControl = (qualityControl) => createElement('div', {}, [
+  createElement('p', { textContent: `データの品質: ${qualityControl.passed ? '合格' : '不合格'}` }),
+  createElement('ul', {}, qualityControl.reasons.map((reason) => createElement('li', { textContent: reason.message }))),
+]);
+
+/**
+ * 読み込んだ参加者全員の集計表と、参加者ごとの結果を表示します。
+ */
+const renderReport = () => {
+  const container = document.getElementById('report');
+  container.replaceChildren();
+  if (reportParticipants.length == 0) {
+    return;
+  }
+  const table = buildReportSummaryTable(reportParticipants);
+  container.appendChild(createElement('section', {}, [
+    createElement('h2', { textContent: '集計表' }),
+    createElement('div', { className: 'scroll' }, [createTable(table.rows, table.columns)]),
+  ]));
+  reportParticipants.forEach((participant) => container.appendChild(renderParticipant(participant)));
+};
+
+/**
+ * 画面で指定した反応時間の基準を取得します。
+ */
+const getReportRtFilter = () => ({
+  minRt: Number(document.getElementById('minRt').value),
+  maxRt: Number(document.getElementById('maxRt').value),
+  sdCriterion: Number(document.getElementById('sdCriterion').value),
+});
+
+/**
+ * 記録された基準の代わりに、画面で指定した反応時間の基準を使用するかを取得します。
+ */
+const getPreferPageRtFilter = () => document.getElementById('preferPageRtFilter').checked;
+
+/**
+ * 選択したファイルを読み込んで集計し、結果を表示します。
+ * 暗号化したバックアップ (CEMA で送信できなかった場合のコピー) は、選択した秘密鍵で復号してから読み込みます。
+ * 読み込めなかったファイルは、理由とともに画面に表示します。
+ * @param {FileList} files 選択したファイル
+ */
+const loadReportFiles = async (files) => {
+  const messages = document.getElementById('messages');
+  messages.replaceChildren();
+  const rtFilter = getReportRtFilter();
+  const privateKeyFile = document.getElementById('privateKey').files[0];
+  for (const file of files) {
+    try {
+      let text = await file.text();
+      if (isEncryptedBackup(text)) {
+        if (!privateKeyFile) {
+          throw new Error('暗号化されています。秘密鍵を選択してください');
+        }
+        text = await decryptBackup(text, await privateKeyFile.text());
+      }
+      const participant = parseReportFile(text, file.name);
+      reportParticipants.push(summarizeParticipant(participant, rtFilter, getPreferPageRtFilter()));
+    } catch (error) {
+      messages.appendChild(createElement('li', { textContent: `${file.name}: 読み込めませんでした (${error.message})。` }));
+    }
+  }
+  renderReport();
+};
+
+/**
+ * 画面の操作に応じた処理を設定します。
+ */
+const setupReportPage = () => {
+  document.getElementById('files').addEventListener('change', (event) => {
+    loadReportFiles(event.target.files).then(() => {
+      event.target.value = '';
+    });
+  });
+  // 反応時間の基準を変更した場合は、記録された基準の代わりに画面の基準を使用するように選択します。
+  ['minRt', 'maxRt', 'sdCriterion'].forEach((id) => {
+    document.getElementById(id).addEventListener('input', () => {
+      document.getElementById('preferPageRtFilter').checked = true;
+    });
+  });
+  document.getElementById('recalculate').addEventListener('click', () => {
+    const rtFilter = getReportRtFilter();
+    reportParticipants = reportParticipants.map((participant) => summarizeParticipant(participant, rtFilter, getPreferPageRtFilter()));
+    renderReport();
+  });
+  document.getElementById('clear').addEventListener('click', () => {
+    reportParticipants = [];
+    document.getElementById('messages').replaceChildren();
+    renderReport();
+  });
+  document.getElementById('export').addEventListener('click', () => {
+    const table = buildReportSummaryTable(reportParticipants);
+    downloadTextFile(formatDelimitedText(table.rows, table.columns), 'prt_summary.csv');
+  });
+};
+
+setupReportPage();
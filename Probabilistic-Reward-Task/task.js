@@ -11,20 +11,44 @@
  * 教示および刺激に用いる画像ファイルが入ったフォルダーのパスと、
  * フォルダ内の画像の名前を設定します。
  * すべての刺激画像は同一のフォルダーに入っている必要があります。
+ * 各項目は設定ファイル (JSON) および URL のクエリ文字列で上書きできます (settingsSchema を参照してください)。
  */
 const getUserDefinedSettings = () => ({
 
   /**
    * 課題の生成パターンを指定します。
    * 下記のパターンから選択します。
-   * 1: キー応答: 左 (F キー) → 口の長さ: short, 頻度: frequent、  キー応答: 右 (J キー) → 口の長さ: long,  頻度: infrequent
-   * 2: キー応答: 左 (F キー) → 口の長さ: long,  頻度: frequent、  キー応答: 右 (J キー) → 口の長さ: short, 頻度: infrequent
-   * 3: キー応答: 左 (F キー) → 口の長さ: short, 頻度: infrequent、キー応答: 右 (J キー) → 口の長さ: long,  頻度: frequent
-   * 4: キー応答: 左 (F キー) → 口の長さ: long,  頻度: infrequent、キー応答: 右 (J キー) → 口の長さ: short, 頻度: frequent
+   * 1: キー応答: 左 (既定では F キー) → 口の長さ: short, 頻度: frequent、  キー応答: 右 (既定では J キー) → 口の長さ: long,  頻度: infrequent
+   * 2: キー応答: 左 (既定では F キー) → 口の長さ: long,  頻度: frequent、  キー応答: 右 (既定では J キー) → 口の長さ: short, 頻度: infrequent
+   * 3: キー応答: 左 (既定では F キー) → 口の長さ: short, 頻度: infrequent、キー応答: 右 (既定では J キー) → 口の長さ: long,  頻度: frequent
+   * 4: キー応答: 左 (既定では F キー) → 口の長さ: long,  頻度: infrequent、キー応答: 右 (既定では J キー) → 口の長さ: short, 頻度: frequent
    * 1 ～ 4 をランダムに生成する場合には 0 を指定します。
    */
   pattern: 0,
 
+  /**
+   * 左右の応答キーです。
+   * キーボード上の物理的な位置を表すコード (KeyboardEvent.code) で指定します
+   * (例: 'KeyF'、'KeyZ'、'ArrowLeft'、'Numpad1')。
+   * キーの判定は位置のコードで行うため、JIS 配列や QWERTY 以外の配列のキーボードでも同じ位置のキーが応答キーになります。
+   * データの response および correct_key には、'KeyF' の場合は 'f' のように英数字のキーは小文字の 1 文字で、
+   * それ以外のキーはコードのまま記録されます。
+   */
+  responseKeys: {
+    left: 'KeyF',
+    right: 'KeyJ',
+  },
+
+  /**
+   * 乱数のシード (種) です。
+   * 課題パターンの選択、刺激パターンの生成、練習課題の提示順序など、
+   * 課題中のすべての乱数はこのシードから生成されます。
+   * 同じシードを指定すると、同じ刺激系列が再現されます。
+   * 空文字列の場合はシードを自動的に生成します。
+   * 使用したシードは、name が 'settings' の行の seed に記録されます。
+   */
+  seed: '',
+
   /**
    * 課題で使用する画像が格納されているフォルダーのパスです。
    */
@@ -73,6 +97,132 @@ const getUserDefinedSettings = () => ({
    */
   breakTimeDuration: 30000,
 
+  /**
+   * 本番課題の報酬スケジュールです。
+   * blockCount: ブロック数、trialsPerBlock: 1 ブロックあたりの試行数、
+   * frequentProportion: 1 ブロックの試行のうち frequent 刺激が占める割合、
+   * frequentRewards、infrequentRewards: 1 ブロックあたりの frequent、infrequent 刺激の reward の回数です。
+   * rewardRatio に '3:1' のような frequent:infrequent の比を指定した場合は、
+   * 1 ブロックあたり rewardsPerBlock 回の reward をこの比で配分し、frequentRewards と infrequentRewards は使用しません。
+   * 各ブロックの終了後 (最後のブロックを除く) に小休止をとります。
+   */
+  schedule: {
+    blockCount: 3,
+    trialsPerBlock: 100,
+    frequentProportion: 0.5,
+    frequentRewards: 30,
+    infrequentRewards: 10,
+    rewardRatio: '',
+    rewardsPerBlock: 40,
+  },
+
+  /**
+   * 本番課題の刺激系列が満たす制約です。
+   * maxSameMouthRun: 同一の顔 (口の長さ) が連続してよい最大の回数、
+   * maxRewardRun: reward の試行が連続してよい最大の回数 (0 の場合は制限しません)、
+   * minInfrequentRewardSpacing: infrequent 刺激の reward の試行の間に挟まる最小の試行数 (0 の場合は制限しません)、
+   * balancedHalves: true の場合は、各ブロックの前半と後半で frequency と reward の組み合わせごとの個数をそろえます。
+   * maxAttempts: 制約を満たす系列を作成するために並べ直す最大の回数 (ブロックの前半・後半ごと) です。
+   * 並べ直した回数の合計は、name が 'settings' の行の sequence_attempts に記録されます。
+   */
+  sequenceConstraints: {
+    maxSameMouthRun: 2,
+    maxRewardRun: 0,
+    minInfrequentRewardSpacing: 0,
+    balancedHalves: false,
+    maxAttempts: 1000,
+  },
+
+  /**
+   * 本番課題で使用する固定の刺激系列ファイル (CSV または JSON) のパスです。
+   * 指定した場合は刺激パターンを生成せず、ファイルの系列をそのまま使用します。
+   * ファイルは 1 行 (1 要素) が 1 試行を表し、trial_count、stimulus ('short' または 'long')、
+   * frequency ('frequent' または 'infrequent')、reward (true または false) の項目を持ちます。
+   * 系列は schedule の試行数および reward の回数と一致している必要があります。
+   * 空文字列の場合は刺激パターンを生成します。
+   */
+  sequenceFile: '',
+
+  /**
+   * 本番課題の刺激系列をファイルに書き出す形式です。
+   * 'csv' または 'json' を指定すると、課題の開始前に sequenceFile の形式で刺激系列をダウンロードします。
+   * 空文字列の場合は書き出しません。
+   */
+  exportSequence: '',
+
+  /**
+   * 本番課題の報酬の与え方 (強化スケジュール) です。
+   * mode は次のいずれかです。
+   * 'controlled': reward の試行で正しく応答した場合に報酬を与えます。reward の試行で誤って応答した場合は、
+   *   同じ頻度の刺激に次に正しく応答した試行まで報酬を持ち越します (従来の方式)。
+   * 'probabilistic': 正しく応答するたびに、frequent 刺激は frequentProbability、
+   *   infrequent 刺激は infrequentProbability の確率で独立に報酬を与えます (reward の設定は使用しません)。
+   * 'yoked': yokedFile に記録された他の参加者の報酬の履歴を再生し、その参加者が報酬を得た試行で
+   *   応答にかかわらず報酬を与えます。
+   * yokedFile は、trial_count と reward_delivered の項目を持つ CSV または JSON のファイルです。
+   * 本課題が出力したデータ ファイルをそのまま指定することもできます (name が 'signal for reward' の行を使用します)。
+   */
+  reinforcement: {
+    mode: 'controlled',
+    frequentProbability: 0.6,
+    infrequentProbability: 0.2,
+    yokedFile: '',
+  },
+
+  /**
+   * signal および signal_setReward でキー押下を待つ制限時間です。
+   * duration: 制限時間 (msec) です。0 の場合は制限しません。
+   * missHandling: 制限時間内に応答しなかった試行 (miss) が reward の試行であった場合の扱いです。
+   *   'carry-over': 誤った応答と同様に、報酬を持ち越します。
+   *   'forfeit': その試行の報酬は失われます。
+   * reinforcement.mode が 'yoked' の場合は、missHandling にかかわらず miss の試行の報酬は失われます。
+   * miss の試行は missed が true となり、messages.tooSlow を表示します。
+   * miss の回数は、name が 'end' の行の missed_count (本番) および missed_practice_count (練習) に記録されます。
+   */
+  responseDeadline: {
+    duration: 0,
+    missHandling: 'forfeit',
+  },
+
+  /**
+   * 課題のサマリーを求める際に、本番課題の反応時間 (rt) で試行を除外する基準です。
+   * minRt、maxRt: 反応時間の下限および上限 (msec) です。範囲外の試行を除外します。maxRt が 0 の場合は上限を設けません。
+   * sdCriterion: 上限・下限で除外した後、対数変換した反応時間の平均から標準偏差の sdCriterion 倍以上離れた試行を除外します。
+   *   0 の場合は除外しません。
+   * 除外は課題のサマリーのみに適用し、各試行の行は変更しません。
+   */
+  rtFilter: {
+    minRt: 150,
+    maxRt: 2500,
+    sdCriterion: 3,
+  },
+
+  /**
+   * 課題のサマリーで、本番課題のデータの品質を確認する基準です。いずれかの基準を満たさない場合は不合格とします。
+   * minAccuracy: 全体の正答率の下限、minStimulusAccuracy: rich および lean 刺激それぞれの正答率の下限です。
+   * maxExcludedRtProportion: 応答した試行のうち、反応時間の基準 (rtFilter) で除外した試行の割合の上限です。
+   * maxSameKeyRun: 同じキーを続けて押した回数の上限です。0 の場合は確認しません。
+   * maxMissedProportion: 制限時間内に応答しなかった試行の割合の上限です。
+   */
+  qualityControl: {
+    minAccuracy: 0.55,
+    minStimulusAccuracy: 0.3,
+    maxExcludedRtProportion: 0.1,
+    maxSameKeyRun: 12,
+    maxMissedProportion: 0.1,
+  },
+
+  /**
+   * 課題の終了時に、本番課題の試行の系列に強化学習モデル (Huys et al., 2013) を最尤推定で当てはめる設定です。
+   * enabled: true の場合に当てはめ、結果を課題のサマリーの model_fit に記録します。
+   * starts: 推定の初期値の数、maxIterations: 初期値ごとの最適化の反復回数の上限です。
+   */
+  modelFit: {
+    enabled: false,
+    starts: 5,
+    maxIterations: 2000,
+  },
+
   /**
    * 正しい応答により得られる 1 回あたりの金額です。
    */
@@ -83,43 +233,256 @@ const getUserDefinedSettings = () => ({
    */
   unit: 'ポイント',
 
+  /**
+   * 課題の終了時に、獲得した合計の金額を換算して表示する設定です。
+   * rate: rewardAmount の単位 1 あたりの換算額です。0 の場合は換算額を表示しません。
+   * unit: 換算額の単位、decimals: 換算額の小数点以下の桁数です。
+   * 例えば 1 ポイントを 0.2 円とする場合は、rate に 0.2、unit に '円' を指定します。
+   */
+  currency: {
+    rate: 0,
+    unit: '円',
+    decimals: 0,
+  },
+
+  /**
+   * 課題中に表示する文章 (HTML) です。HTML を含むため、設定ファイルでのみ指定できます (URL では指定できません)。
+   * 文章中の {left} および {right} は、左右の応答キーの表記 (例: F、J) に置き換えます。
+   * getReady: 各課題の開始前に表示する文章、breakTime: 小休止中に表示する文章、
+   * end: 課題の終了時に表示する文章、tooSlow: 制限時間内に応答しなかった場合に表示する文章です。
+   * tooSlow が空文字列の場合は、練習課題では「不正解」を表示し、本番課題では何も表示しません。
+   */
+  messages: {
+    getReady: '指を {left} キーと {right} キーに置いてください。<br>準備ができたらスペースキーを押してください。',
+    breakTime: '小休止です。タイマーの時間が 0 になると再開します。',
+    end: 'この課題は終了です。<br>キーボードのキーをどれか押すと、結果が保存されて，次の課題に進みます',
+    tooSlow: '時間切れです。<br>できるだけ早くキーを押してください。',
+  },
+
 });
 
+/**
+ * ユーザー定義の設定の各項目が取り得る値を定義します。
+ * JSON Schema の語彙 (type、minimum、maximum、minLength、pattern、enum、items、properties、required、
+ * additionalProperties) で記述します。
+ * 設定ファイルの値、および URL のクエリ文字列 (例: ?pattern=3&stimulusDuration=80&rewardAmount=10) で
+ * 上書きされた値は、この定義に従って検証されます。
+ * 設定ファイル全体のスキーマは getConfigSchema で取得でき、config/schema.json として公開しています。
+ * 項目を変更した場合は、node tools/generate-config-schema.js で config/schema.json を更新します。
+ */
+const settingsSchema = {
+  pattern: { type: 'integer', minimum: 0, maximum: 4 },
+  responseKeys: {
+    type: 'object',
+    properties: {
+      left: { type: 'string', pattern: '^[A-Za-z0-9]+$' },
+      right: { type: 'string', pattern: '^[A-Za-z0-9]+$' },
+    },
+    additionalProperties: false,
+  },
+  seed: { type: 'string' },
+  sourceFolderPath: { type: 'string', minLength: 1 },
+  stimuli: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        mouth: { type: 'string', enum: ['signal', 'short', 'long'] },
+        image: { type: 'string', minLength: 1 },
+      },
+      required: ['mouth', 'image'],
+    },
+  },
+  fixationDuration: { type: 'integer', minimum: 0, maximum: 10000 },
+  signalDuration: { type: 'integer', minimum: 0, maximum: 10000 },
+  stimulusDuration: { type: 'integer', minimum: 1, maximum: 10000 },
+  faceImageheight: { type: 'number', minimum: 1, maximum: 10000 },
+  feedbackDuration: { type: 'integer', minimum: 0, maximum: 10000 },
+  breakTimeDuration: { type: 'integer', minimum: 0, maximum: 600000 },
+  schedule: {
+    type: 'object',
+    properties: {
+      blockCount: { type: 'integer', minimum: 1, maximum: 100 },
+      trialsPerBlock: { type: 'integer', minimum: 2, maximum: 10000 },
+      frequentProportion: { type: 'number', minimum: 0, maximum: 1 },
+      frequentRewards: { type: 'integer', minimum: 0 },
+      infrequentRewards: { type: 'integer', minimum: 0 },
+      rewardRatio: { type: 'string', pattern: '^([0-9]+:[0-9]+)?$' },
+      rewardsPerBlock: { type: 'integer', minimum: 0 },
+    },
+    additionalProperties: false,
+  },
+  sequenceConstraints: {
+    type: 'object',
+    properties: {
+      maxSameMouthRun: { type: 'integer', minimum: 1 },
+      maxRewardRun: { type: 'integer', minimum: 0 },
+      minInfrequentRewardSpacing: { type: 'integer', minimum: 0 },
+      balancedHalves: { type: 'boolean' },
+      maxAttempts: { type: 'integer', minimum: 1, maximum: 100000 },
+    },
+    additionalProperties: false,
+  },
+  sequenceFile: { type: 'string' },
+  exportSequence: { type: 'string', enum: ['', 'csv', 'json'] },
+  reinforcement: {
+    type: 'object',
+    properties: {
+      mode: { type: 'string', enum: ['controlled', 'probabilistic', 'yoked'] },
+      frequentProbability: { type: 'number', minimum: 0, maximum: 1 },
+      infrequentProbability: { type: 'number', minimum: 0, maximum: 1 },
+      yokedFile: { type: 'string' },
+    },
+    additionalProperties: false,
+  },
+  responseDeadline: {
+    type: 'object',
+    properties: {
+      duration: { type: 'integer', minimum: 0, maximum: 60000 },
+      missHandling: { type: 'string', enum: ['carry-over', 'forfeit'] },
+    },
+    additionalProperties: false,
+  },
+  rtFilter: {
+    type: 'object',
+    properties: {
+      minRt: { type: 'integer', minimum: 0 },
+      maxRt: { type: 'integer', minimum: 0 },
+      sdCriterion: { type: 'number', minimum: 0 },
+    },
+    additionalProperties: false,
+  },
+  qualityControl: {
+    type: 'object',
+    properties: {
+      minAccuracy: { type: 'number', minimum: 0, maximum: 1 },
+      minStimulusAccuracy: { type: 'number', minimum: 0, maximum: 1 },
+      maxExcludedRtProportion: { type: 'number', minimum: 0, maximum: 1 },
+      maxSameKeyRun: { type: 'integer', minimum: 0 },
+      maxMissedProportion: { type: 'number', minimum: 0, maximum: 1 },
+    },
+    additionalProperties: false,
+  },
+  modelFit: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      starts: { type: 'integer', minimum: 1, maximum: 20 },
+      maxIterations: { type: 'integer', minimum: 1, maximum: 100000 },
+    },
+    additionalProperties: false,
+  },
+  rewardAmount: { type: 'number', minimum: 0, maximum: 10000 },
+  unit: { type: 'string' },
+  currency: {
+    type: 'object',
+    properties: {
+      rate: { type: 'number', minimum: 0 },
+      unit: { type: 'string' },
+      decimals: { type: 'integer', minimum: 0, maximum: 10 },
+    },
+    additionalProperties: false,
+  },
+  messages: {
+    type: 'object',
+    properties: {
+      getReady: { type: 'string' },
+      breakTime: { type: 'string' },
+      end: { type: 'string' },
+      tooSlow: { type: 'string' },
+    },
+    additionalProperties: false,
+  },
+};
+
+/**
+ * 設定の上書きとして扱わないクエリ パラメーターです。
+ * 設定ファイルのパスを表す config、実施環境を選択する platform、開発用に CEMA の送信先を指定する cemaApiUrl と、
+ * 実施環境 (CEMA、JATOS) が URL に付加するパラメーターを列挙します。
+ */
+const reservedQueryParams = [
+  'config', 'platform', 'cemaApiUrl',
+  'participantId', 'researchContentId', 'notificationId', 'researchDetailId',
+  'srid', 'batchId', 'code',
+];
+
+/**
+ * URL のクエリ文字列では上書きできない設定項目です。
+ * HTML (messages) や画像のパス (sourceFolderPath、stimuli) は、細工したリンクからページにスクリプトを埋め込めるため、
+ * 設定ファイルでのみ指定できます。
+ */
+const configOnlySettings = ['sourceFolderPath', 'stimuli', 'messages'];
+
 /////////////////////////////////////////////////
 // 課題の構成
 
 /**
  * jsPsych ライブラリのフレームワークに従って課題を構成します。
- * @returns 課題のタイムライン
+ * @param {*} config loadTaskConfig で読み込んだ設定ファイルの内容
+ * @returns 課題のタイムラインの Promise
  */
-const prepareTimeline = () => {
+const prepareTimeline = async (config, resume = null) => {
   // 設定を読み込みます。
-  const settings = prepareSettings();
+  const settings = prepareSettings(config, resume);
+
+  // 固定の刺激系列ファイルが指定されている場合は、読み込んで検証します。
+  if (settings.errors.length == 0 && settings.sequenceFile) {
+    await loadSequenceFile(settings);
+  }
 
-  return [
+  // 本番課題の刺激パターンを用意します。
+  if (settings.errors.length == 0) {
+    prepareStimulusPattern(settings);
+  }
+
+  // yoked の場合は、再生する報酬の履歴を読み込みます。
+  if (settings.errors.length == 0 && settings.reinforcement.mode == 'yoked') {
+    await loadYokedRewards(settings);
+  }
+
+  // 設定に誤りがある場合は、課題を開始せずにエラー画面を表示します。
+  if (settings.errors.length > 0) {
+    return [showSettingsError(settings.errors)];
+  }
+
+  // 応答キーを、キーボード上の位置で判定するように設定します。
+  useResponseKeyCodes(settings);
+
+  // 中断したセッションを再開する場合は、前回までのデータを復元します。
+  if (resume) {
+    restoreSession(settings, resume);
+  }
+
+  const timeline = [
     // フルスクリーン表示に切り替えます。
     setFullScreen(),
 
+    // 課題で使用した設定を記録します。
+    recordSettings(settings),
+
     // 試行に必要な画像データを事前にロードします。
     preloadData(settings),
 
     // マウス カーソルを非表示にします。
     setCursorVisibility(false),
 
-    // 課題の説明文を表示します。
-    showTaskInstruction(settings, 'demo'),
+    // 再開する場合は、デモ課題と練習課題を省き、再開の説明文を表示します。
+    ...(settings.resume ? [showTaskInstruction(settings, 'resume')] : [
+      // 課題の説明文を表示します。
+      showTaskInstruction(settings, 'demo'),
 
-    // デモ課題を行います。
-    doDemoTrial(settings),
+      // デモ課題を行います。
+      doDemoTrial(settings),
 
-    // 練習課題の説明文を表示します。
-    showTaskInstruction(settings, 'practice'),
+      // 練習課題の説明文を表示します。
+      showTaskInstruction(settings, 'practice'),
 
-    // 練習課題を行います。
-    doPracticeTrial(settings),
+      // 練習課題を行います。
+      doPracticeTrial(settings),
 
-    // 本番課題の説明文を表示します。
-    showTaskInstruction(settings, 'main'),
+      // 本番課題の説明文を表示します。
+      showTaskInstruction(settings, 'main'),
+    ]),
 
     // 本番課題を行います。
     doMainTrial(settings),
@@ -128,11 +491,48 @@ const prepareTimeline = () => {
     setCursorVisibility(true),
 
     // 課題の終了文を表示します。
-    showEndInstruction(timeline),
+    showEndInstruction(settings),
 
     // フルスクリーン表示を解除します。
     cancelFullScreen(),
   ];
+
+  // 再開する場合は、今回のセッションのすべての行に、前回までのセッションの分の trial_index と time_elapsed を記録します。
+  return settings.resume ? [{ timeline, data: settings.resume.offset }] : timeline;
+};
+
+/**
+ * 中断したセッションの記録を検証し、前回までのデータを jsPsych のデータに追加します。
+ * 記録の設定 (パターンの番号、シード) が今回の設定と一致し、最後の試行がブロックの境界である場合に限り再開し、
+ * settings.resume に、終えたブロックの番号 (block)、最後の試行の 'signal for reward' の行 (lastRow) と、
+ * 今回のセッションの行に記録する、前回までのセッションの分の trial_index と time_elapsed (offset) を格納します。
+ * 一致しない場合は、記録を使用せずに最初から課題を行い、その理由を settings.resumeDiscarded に格納します (設定の行に記録します)。
+ * @param {*} settings
+ * @param {*} resume 終えたブロックの番号 (block) と、前回までのデータの行の配列 (rows)
+ */
+const restoreSession = (settings, resume) => {
+  const settingsRow = resume.rows.find((row) => row.name == 'settings');
+  const mainRows = resume.rows.filter((row) => row.name == 'signal for reward');
+  const lastRow = mainRows[mainRows.length - 1];
+  if (!settingsRow || !lastRow) {
+    settings.resumeDiscarded = '前回までのデータに設定の行または本番課題の行がありません。';
+  } else if (settingsRow.seed != settings.seed) {
+    settings.resumeDiscarded = `前回のシード (${settingsRow.seed}) と今回のシード (${settings.seed}) が一致しません。`;
+  } else if (settingsRow.pattern_number != settings.patternNumber) {
+    settings.resumeDiscarded = `前回の課題パターン (${settingsRow.pattern_number}) と今回の課題パターン (${settings.patternNumber}) が一致しません。`;
+  } else if ((lastRow.trial_count != resume.block * settings.schedule.trialsPerBlock) || !isBlockBoundary(settings, lastRow.trial_count)) {
+    settings.resumeDiscarded = `前回までのデータの最後の試行 (${lastRow.trial_count}) がブロック ${resume.block} の終わりではありません。`;
+  }
+  if (settings.resumeDiscarded) {
+    return;
+  }
+  resume.rows.forEach((row) => jsPsych.data.get().push(row));
+  const last = resume.rows[resume.rows.length - 1];
+  const offset = {
+    trial_index_offset: Math.max(...resume.rows.map((row) => Number.isFinite(row.trial_index) ? getTotalTrialIndex(row) : -1)) + 1,
+    time_elapsed_offset: Number.isFinite(last.time_elapsed) ? getTotalTimeElapsed(last) : 0,
+  };
+  settings.resume = { block: resume.block, lastRow, offset };
 };
 
 /////////////////////////////////////////////////
@@ -142,26 +542,60 @@ const prepareTimeline = () => {
  * 画面をフルスクリーン表示に切り替えます。
  * @returns 試行オブジェクト
  */
-const setFullScreen = () => {
-  // jspsych_init.js スクリプトで fullscreen 全画面表示オブジェクトがすでに
-  // 定義されている場合は、それを返します。そうで無い場合は新規に生成して返します。
-  if (typeof fullscreen !== 'undefined') {
-    return fullscreen;
-  } else {
-    return {
-      type: jsPsychFullscreen,
-      message: "<p><span style='font-size:20pt;'>それでは課題をはじめます。</span></p>" +
-        "<p><span style='font-size:20pt;'>以下の「開始」を押すと、全画面になって課題がはじまります。</span></p>" +
-        "<p><span style='font-size:20pt;'>課題を途中で終了する場合は、エスケープ キーを押して全画面を解除し、</span></p>" +
-        "<p><span style='font-size:20pt;'>ブラウザーを閉じてください。</span></p>",
-      button_label: "<p style='font-size:20px'>開始</p>",
-      fullscreen_mode: true,
-      data: {
-        name: 'full screen'
-      }
-    };
+const setFullScreen = () => ({
+  type: jsPsychFullscreen,
+  message: "<p><span style='font-size:20pt;'>それでは課題をはじめます。</span></p>" +
+    "<p><span style='font-size:20pt;'>以下の「開始」を押すと、全画面になって課題がはじまります。</span></p>" +
+    "<p><span style='font-size:20pt;'>課題を途中で終了する場合は、エスケープ キーを押して全画面を解除し、</span></p>" +
+    "<p><span style='font-size:20pt;'>ブラウザーを閉じてください。</span></p>",
+  button_label: "<p style='font-size:20px'>開始</p>",
+  fullscreen_mode: true,
+  data: {
+    name: 'full screen'
   }
-};
+});
+
+/**
+ * 課題で実際に使用された設定 (既定値に設定ファイルおよび URL による上書きを反映したもの) を記録します。
+ * 中断したセッションを再開した場合は、前回の設定の行と区別するために、name を 'resumed settings' とします。
+ * @param {*} settings
+ * @returns 試行オブジェクト
+ */
+const recordSettings = (settings) => ({
+  type: jsPsychCallFunction,
+  func: () => {},
+  data: {
+    name: settings.resume ? 'resumed settings' : 'settings',
+    settings: settings.effectiveSettings,
+    url_overrides: Object.keys(settings.urlOverrides),
+    config_path: settings.configPath,
+    pattern_number: settings.patternNumber,
+    seed: settings.seed,
+    sequence_attempts: settings.sequenceAttempts,
+    resumed_from_block: settings.resume ? settings.resume.block : null,
+    resume_discarded: settings.resumeDiscarded || null,
+  }
+});
+
+/**
+ * 設定の誤りを表示し、課題を開始しないようにします。
+ * キー押下を受け付けないため、この画面から先には進みません。
+ * @param {string[]} errors 誤りの内容を表す文字列の配列
+ * @returns 試行オブジェクト
+ */
+const showSettingsError = (errors) => ({
+  type: jsPsychHtmlKeyboardResponse,
+  stimulus: `
+    <div style="color: #FF0000;">課題の設定に誤りがあるため、課題を開始できません。</div>
+    <div style="font-size: 18px; text-align: left; display: inline-block;">
+      ${errors.map((error) => escapeHtml(error)).join('<br>')}</div>
+    <div style="font-size: 18px;">実施者に連絡してください。</div>`,
+  choices: 'NO_KEYS',
+  data: {
+    name: 'settings error',
+    errors: errors,
+  }
+});
 
 /**
  * 試行に必要な画像データを事前にロードします。
@@ -207,13 +641,13 @@ const showTaskInstruction = (settings, phase) => {
     // 顔画像の表示レイアウトです。
     const instructionImage = `
       <div id="instruction_face">
-        <img src="${settings.stimSourceMap.get(settings.taskPattern.f.mouth)}" class="face">
+        <img src="${escapeHtml(settings.stimSourceMap.get(settings.taskPattern.left.mouth))}" class="face">
         <div style="display: inline-block; width: 20vw;"></div>
-        <img src="${settings.stimSourceMap.get(settings.taskPattern.j.mouth)}" class="face">
+        <img src="${escapeHtml(settings.stimSourceMap.get(settings.taskPattern.right.mouth))}" class="face">
       </div>
       <div id="instruction_key">
-        <div class="key">${settings.keynaviMap.get(settings.taskPattern.f.mouth)}: 左 ( F ) キーを押します。</div>
-        <div class="key">${settings.keynaviMap.get(settings.taskPattern.j.mouth)}: 右 ( J ) キーを押します。</div>
+        <div class="key">${settings.keynaviMap.get(settings.taskPattern.left.mouth)}: 左 ( ${settings.keys.left.label} ) キーを押します。</div>
+        <div class="key">${settings.keynaviMap.get(settings.taskPattern.right.mouth)}: 右 ( ${settings.keys.right.label} ) キーを押します。</div>
       </div>`;
 
     // デモを始める際の教示文です。
@@ -237,12 +671,22 @@ const showTaskInstruction = (settings, phase) => {
           口の長さに応じて、2 つのカテゴリにイラストを分類してください。</div>
          ${instructionImage}<br>
         <div id="startmessage">スペース キーを押すと、練習が始まります。</div>`;
+    // 中断したセッションの本番を再開する際の教示文です。
+    } else if (phase == 'resume') {
+      return `
+        <div id="instruction_message1">
+          前回の続き (ブロック ${settings.resume.block + 1}) から本番を再開します。<br>
+          <b>これまでに獲得したポイントは引き継がれます。</b><br></div>
+        <div id="instruction_message2">
+          <b>できるだけ多くのポイントを獲得するように選択してください。</b></div>
+         ${instructionImage}<br>
+        <div id="startmessage">スペース キーを押すと、本番が再開します。</div>`;
     // 本番を始める際の教示文です。
     } else {
       return `
         <div id="instruction_message1">
           それでは、本番を始めます。<br>
-          <b>イラストを正しく分類すると ${settings.rewardAmount} ${settings.unit} 獲得できることがあります。</b><br>
+          <b>イラストを正しく分類すると ${settings.rewardAmount} ${escapeHtml(settings.unit)} 獲得できることがあります。</b><br>
           <b>すべての正しい分類でポイントが獲得できるわけではありません。</b><br></div>
         <div id="instruction_message2">
           <b>できるだけ多くのポイントを獲得するように選択してください。</b></div>
@@ -262,7 +706,7 @@ const showTaskInstruction = (settings, phase) => {
 
   // 課題が始まることを喚起する文章を定義します。
   const getReady = {
-    stimulus: `<div><br>指を F キーと J キーに置いてください。<br>準備ができたらスペースキーを押してください。</div>`,
+    stimulus: `<div><br>${formatKeyLabels(settings, settings.messages.getReady)}</div>`,
     //trial_duration: 5000,
     choices: ' ',
     data: {
@@ -274,8 +718,8 @@ const showTaskInstruction = (settings, phase) => {
     type: jsPsychHtmlKeyboardResponse,
     timeline: [instruction, getReady],
     prompt: `
-    <div id="keynavi" style="left: 35%;">${settings.keynaviMap.get(settings.taskPattern.f.mouth)}</div>
-    <div id="keynavi" style="left: 65%;">${settings.keynaviMap.get(settings.taskPattern.j.mouth)}</div>`
+    <div id="keynavi" style="left: 35%;">${settings.keynaviMap.get(settings.taskPattern.left.mouth)}</div>
+    <div id="keynavi" style="left: 65%;">${settings.keynaviMap.get(settings.taskPattern.right.mouth)}</div>`
   };
 };
 
@@ -292,8 +736,8 @@ const doDemoTrial = (settings) => {
     timeline: [fixation(settings), signal_noKey(settings), faceStimulus(settings), signal_withPrompt(settings), feedback(settings)],
     timeline_variables: stimulusPattern,
     prompt: `
-    <div id="keynavi" style="left: 35%;">${settings.keynaviMap.get(settings.taskPattern.f.mouth)}</div>
-    <div id="keynavi" style="left: 65%;">${settings.keynaviMap.get(settings.taskPattern.j.mouth)}</div>`,
+    <div id="keynavi" style="left: 35%;">${settings.keynaviMap.get(settings.taskPattern.left.mouth)}</div>
+    <div id="keynavi" style="left: 65%;">${settings.keynaviMap.get(settings.taskPattern.right.mouth)}</div>`,
   };
 };
 
@@ -311,28 +755,33 @@ const doDemoTrial = (settings) => {
     timeline_variables: stimulusPattern,
     randomize_order: true,
     prompt: `
-    <div id="keynavi" style="left: 35%;">${settings.keynaviMap.get(settings.taskPattern.f.mouth)}</div>
-    <div id="keynavi" style="left: 65%;">${settings.keynaviMap.get(settings.taskPattern.j.mouth)}</div>`,
+    <div id="keynavi" style="left: 35%;">${settings.keynaviMap.get(settings.taskPattern.left.mouth)}</div>
+    <div id="keynavi" style="left: 65%;">${settings.keynaviMap.get(settings.taskPattern.right.mouth)}</div>`,
   };
 };
 
 /**
  * 本番用の課題ブロックを生成します。
- * 100 回の刺激表示、小休止 を繰り返します。
+ * 1 ブロック分 (schedule.trialsPerBlock 回) の刺激表示、小休止 を繰り返します。
  */
  const doMainTrial = (settings) => {
-  const stimulusPattern = generateStimulusPattern(settings);
+  // 中断したセッションを再開する場合は、終えたブロックの試行を除きます。
+  const stimulusPattern = settings.resume
+    ? settings.stimulusPattern.filter((pattern) => pattern.trial_count > settings.resume.lastRow.trial_count)
+    : settings.stimulusPattern;
+  const engine = createReinforcementEngine(settings);
   return {
-    timeline: [fixation(settings), signal_noKey(settings), faceStimulus(settings), signal_setReward(settings), rewardFeedback(settings), breakTimeOrNot(settings)],
+    timeline: [fixation(settings), signal_noKey(settings), faceStimulus(settings), signal_setReward(settings, engine), rewardFeedback(settings, engine), breakTimeOrNot(settings)],
     timeline_variables: stimulusPattern,
     on_timeline_start: () => {
-      jsPsych.data.newRewardFlag_frequent = false;    // frequent 刺激が new_rewawrd であるか否かを表す bool 値です。
-      jsPsych.data.newRewardFlag_infrequent = false;  // infrequent 刺激が new_rewawrd であるか否かを表す bool 値です。
-      jsPsych.data.feedbackFlag = false;              // 報酬を獲得したことを表示するか否かを表す bool 値です。
+      engine.reset();
+      if (settings.resume) {
+        engine.restore(settings.resume.lastRow);
+      }
     },
     prompt: `
-    <div id="keynavi" style="left: 35%;">${settings.keynaviMap.get(settings.taskPattern.f.mouth)}</div>
-    <div id="keynavi" style="left: 65%;">${settings.keynaviMap.get(settings.taskPattern.j.mouth)}</div>`,
+    <div id="keynavi" style="left: 35%;">${settings.keynaviMap.get(settings.taskPattern.left.mouth)}</div>
+    <div id="keynavi" style="left: 65%;">${settings.keynaviMap.get(settings.taskPattern.right.mouth)}</div>`,
   };
 };
 
@@ -376,7 +825,6 @@ const faceStimulus = (settings) => ({
     name: 'face stimulus',
     trial_count: jsPsych.timelineVariable('trial_count'),
     reward: jsPsych.timelineVariable('reward'),
-    new_reward: jsPsych.data.newRewardFlag
   }
 });
 
@@ -393,11 +841,11 @@ const signal_withPrompt = (settings) => {
     stimulus_height: settings.faceImageheight,
     choices: jsPsych.timelineVariable('key_choice'),
     prompt: () => {
-      // キーの大文字表記を設定します。
-      let keyExpression = (jsPsych.timelineVariable('key_choice') == 'f') ? 'F' : 'J';
+      // キーの表記を設定します。
+      let keyExpression = (jsPsych.evaluateTimelineVariable('key_choice') == settings.keys.left.key) ? settings.keys.left.label : settings.keys.right.label;
       return `
-      <div id="keynavi" style="left: 35%;">${settings.keynaviMap.get(settings.taskPattern.f.mouth)}</div>
-      <div id="keynavi" style="left: 65%;">${settings.keynaviMap.get(settings.taskPattern.j.mouth)}</div>
+      <div id="keynavi" style="left: 35%;">${settings.keynaviMap.get(settings.taskPattern.left.mouth)}</div>
+      <div id="keynavi" style="left: 65%;">${settings.keynaviMap.get(settings.taskPattern.right.mouth)}</div>
       <div style="position: absolute; transform: translate(-50%, 0%); left: 50%; top: 70vh; font-size: 24px;">
       ${jsPsych.timelineVariable('prompt')}の顔が表示されました。
       ${keyExpression} キーを押してください。</div>`},
@@ -414,14 +862,15 @@ const signal_withPrompt = (settings) => {
 
 /**
  * キー押下を取得するシグナル表示を定義します。
- * 押下の正誤を合わせて記録します。
+ * 押下の正誤と、制限時間内に応答しなかったか否か (missed) を合わせて記録します。
  * デモおよび練習課題で使用します。
  */
  const signal = (settings) => ({
   type: jsPsychImageKeyboardResponse,
   stimulus: settings.stimSourceMap.get('signal'),
   stimulus_height: settings.faceImageheight,
-  choices: ['f', 'j'],
+  choices: [settings.keys.left.key, settings.keys.right.key],
+  trial_duration: settings.responseDeadline.duration || null,
   data: {
     name: 'signal',
     correct_key: jsPsych.timelineVariable('correct_key'),
@@ -430,89 +879,59 @@ const signal_withPrompt = (settings) => {
     // キー反応の正誤を記録します。
     let response = jsPsych.data.get().last(1).values()[0];
     data.correct = (response.correct_key == response.response);
+    data.missed = (response.response === null);
   }
 });
 
 /**
  * キー押下を取得するシグナル表示を定義します。
- * 押下の正誤、reward および new_reward に関する情報を合わせて記録します。
+ * 押下の正誤、制限時間内に応答しなかったか否か (missed)、ブロックの番号 (block)、刺激の口の長さ (mouth)、reward および new_reward に関する情報、報酬の与え方 (reinforcement_mode) と、
+ * 強化エンジン (createReinforcementEngine) による遷移の内容 (保留中、付与、失われた報酬) を合わせて記録します。
  * 本番の課題で使用します。
  */
- const signal_setReward = (settings) => ({
+ const signal_setReward = (settings, engine) => ({
   type: jsPsychImageKeyboardResponse,
   stimulus: settings.stimSourceMap.get('signal'),
   stimulus_height: settings.faceImageheight,
-  choices: ['f', 'j'],
+  choices: [settings.keys.left.key, settings.keys.right.key],
+  trial_duration: settings.responseDeadline.duration || null,
   data: {
     name: 'signal for reward',
+    trial_count: jsPsych.timelineVariable('trial_count'),
     correct_key: jsPsych.timelineVariable('correct_key'),
     frequency: jsPsych.timelineVariable('frequency'),
     reward: jsPsych.timelineVariable('reward'),
+    reinforcement_mode: settings.reinforcement.mode,
   },
   on_finish: (data) => {
-    // キー反応の正誤とフラグを記録します。
-    let response = jsPsych.data.get().last(1).values()[0];
-    data.correct = (response.correct_key == response.response);
-    data.new_reward_frequent = jsPsych.data.newRewardFlag_frequent;
-    data.new_reward_infrequent = jsPsych.data.newRewardFlag_infrequent;
-
-    // 次の試行のための feedbackFlag、newRewardFlag_frequent、newRewardFlag_infrequent を設定します。
-    // キー応答が正しい場合です。
-    if (data.correct) {
-      // reward が true の場合です。
-      if (response.reward) {
-        jsPsych.data.feedbackFlag = true;
-
-        // newRewardFlag_frequent が true の場合です。
-        if (response.new_reward_frequent) {
-          jsPsych.data.newRewardFlag_frequent = (response.frequency != 'frequent');
-        }
-        // newRewardFlag_infrequent が true の場合です。
-        if (response.new_reward_infrequent) {
-          jsPsych.data.newRewardFlag_infrequent = (response.frequency != 'infrequent');
-        }
-
-      // reward が false の場合です。
-      } else {
-        jsPsych.data.feedbackFlag = false;
-        // newRewardFlag_frequent が true の場合です。
-        if (response.new_reward_frequent) {
-          if (response.frequency == 'frequent') {
-            jsPsych.data.feedbackFlag = true;
-            jsPsych.data.newRewardFlag_frequent = false;
-          }
-        }
-        if (response.new_reward_infrequent) {
-          if (response.frequency == 'infrequent') {
-            jsPsych.data.feedbackFlag = true;
-            jsPsych.data.newRewardFlag_infrequent = false;
-          }
-        }
-      }
-    // キー応答が誤っている場合です。
-    } else {
-      jsPsych.data.feedbackFlag = false;
-      // reward が true の場合です。
-      if (response.reward) {
-        if (response.frequency == 'frequent') {
-          jsPsych.data.newRewardFlag_frequent = true;
-        } else {
-          jsPsych.data.newRewardFlag_infrequent = true;
-        }
-      }
-    }
+    // キー反応の正誤を記録します。
+    data.correct = (data.correct_key == data.response);
+    data.missed = (data.response === null);
+    data.block = Math.ceil(data.trial_count / settings.schedule.trialsPerBlock);
+    data.mouth = (data.correct_key == settings.key_short) ? 'short' : 'long';
+
+    // 強化エンジンで報酬を与えるか否かを決定し、遷移の内容を記録します。
+    const transition = engine.step(data);
+    Object.assign(data, transition);
+    data.new_reward_frequent = (transition.pending_frequent_before.length > 0);
+    data.new_reward_infrequent = (transition.pending_infrequent_before.length > 0);
   }
 });
 
 /**
  * キー押下の正誤のフィードバックをします。
+ * 制限時間内に応答しなかった場合は messages.tooSlow を表示します。
  * デモおよび練習課題で使用します。
  */
  const feedback = (settings) => ({
   type: jsPsychHtmlKeyboardResponse,
   stimulus: () => {
       // キー反応の正誤を取得します。
-      return jsPsych.data.get().last(1).values()[0].correct ? `<div style="font-size: 40pt; color: #00B050;">正解</div>` : `<div style="font-size: 40pt; color: #FF0000">不正解</div>`;
+      const response = jsPsych.data.get().last(1).values()[0];
+      if (response.missed && settings.messages.tooSlow) {
+        return `<div style="font-size: 40pt; color: #FF0000">${settings.messages.tooSlow}</div>`;
+      }
+      return response.correct ? `<div style="font-size: 40pt; color: #00B050;">正解</div>` : `<div style="font-size: 40pt; color: #FF0000">不正解</div>`;
     },
   trial_duration: settings.feedbackDuration,
   choices: 'NO_KEYS',
@@ -524,23 +943,27 @@ const signal_withPrompt = (settings) => {
 /**
  * reward または new_reward の刺激に対する反応が正しい場合に、
  * 報酬を計算し、表示します。
+ * 制限時間内に応答しなかった場合は messages.tooSlow を表示します。
  * 本番の課題で使用します。
  */
-const rewardFeedback = (settings) => {
-  let totalAmount = 0;
+const rewardFeedback = (settings, engine) => {
+  // 直前の試行が、制限時間の超過を知らせる試行であるかを判定します。
+  const showTooSlow = () => Boolean(engine.getLastTransition().missed && settings.messages.tooSlow);
   return {
   type: jsPsychHtmlKeyboardResponse,
   stimulus: () => {
-    if (jsPsych.data.feedbackFlag) {
-      totalAmount += settings.rewardAmount;
+    if (engine.getLastTransition().reward_delivered) {
+      return `
+      <div style="font-size: 40pt; color: #00B050;">${settings.rewardAmount} ${escapeHtml(settings.unit)}獲得<br></div>`;
+    } else if (showTooSlow()) {
       return `
-      <div style="font-size: 40pt; color: #00B050;">${settings.rewardAmount} ${settings.unit}獲得<br></div>`;
+      <div style="font-size: 40pt; color: #FF0000;">${settings.messages.tooSlow}</div>`;
     } else {
       return '';
     }
   },
   trial_duration: () => {
-    return jsPsych.data.feedbackFlag ? settings.feedbackDuration : 0;
+    return (engine.getLastTransition().reward_delivered || showTooSlow()) ? settings.feedbackDuration : 0;
   },
   choices: 'NO_KEYS',
   data: {
@@ -552,13 +975,13 @@ const rewardFeedback = (settings) => {
 
 /**
  * タイマーを表示するか否かを判定します。
- * 100 回目および 200 回目が終了した後に表示します。
+ * 最後のブロックを除く各ブロックの最後の試行 (既定では 100 回目および 200 回目) が終了した後に表示します。
  */
 const breakTimeOrNot = (settings) => ({
   timeline: [timer(settings)],
   conditional_function: () => {
-    let count = jsPsych.timelineVariable('trial_count');
-    return (count == 100) || (count  == 200);
+    let count = jsPsych.evaluateTimelineVariable('trial_count');
+    return isBlockBoundary(settings, count);
   },
   choices: 'NO_KEYS',
   data: {
@@ -567,12 +990,12 @@ const breakTimeOrNot = (settings) => ({
 });
 
 /**
- * 100 回の試行毎にタイマーを表示します。
+ * 1 ブロックの試行毎にタイマーを表示します。
  */
 const timer = (settings) => ({
   type: jsPsychHtmlKeyboardResponse,
   stimulus: `
-    <div>小休止です。タイマーの時間が 0 になると再開します。<br></div>
+    <div>${settings.messages.breakTime}<br></div>
     <div id="stopwatch">00:00</div>`,
   choices: 'NO_KEYS',
   trial_duration: settings.breakTimeDuration,
@@ -586,18 +1009,37 @@ const timer = (settings) => ({
 
 /**
  * 課題の終了文を表示するブロック定義を生成します。
+ * 本番課題で獲得した合計の金額と報酬を得た回数、currency.rate を指定した場合は換算額を合わせて表示し、記録します。
+ * @param {*} settings
  * @returns 課題の終了文表示を表すブロック定義
  */
-const showEndInstruction = () => ({
+const showEndInstruction = (settings) => ({
   type: jsPsychHtmlKeyboardResponse,
-  stimulus: `
+  stimulus: () => {
+    const totals = getRewardTotals(settings);
+    const conversion = (totals.convertedAmount !== null)
+      ? `（${totals.convertedAmount.toFixed(settings.currency.decimals)} ${escapeHtml(settings.currency.unit)}）`
+      : '';
+    return `
   <p style="font-size: 24px; line-height: 1.8em; text-align: left; width: 800px;">
-  　この課題は終了です。<br>
-    キーボードのキーをどれか押すと、結果が保存されて，次の課題に進みます<br>`,
+  　獲得した${escapeHtml(settings.unit)}は合計 ${totals.totalAmount} ${escapeHtml(settings.unit)}${conversion}です（報酬を得た回数: ${totals.rewardedCount} 回）。<br>
+  　${settings.messages.end}<br>`;
+  },
   choices: "ALL_KEYS",
   post_trial_gap: 1000,
   data: {
     name: 'end'
+  },
+  on_finish: (data) => {
+    // 制限時間内に応答しなかった試行の回数を記録します。
+    data.missed_count = jsPsych.data.get().filter({ name: 'signal for reward', missed: true }).count();
+    data.missed_practice_count = jsPsych.data.get().filter({ name: 'signal', missed: true }).count();
+
+    // 獲得した合計の金額を記録します。
+    const totals = getRewardTotals(settings);
+    data.rewarded_count = totals.rewardedCount;
+    data.total_amount = totals.totalAmount;
+    data.converted_amount = totals.convertedAmount;
   }
 });
 
@@ -613,12 +1055,62 @@ const cancelFullScreen = () => ({
 /////////////////////////////////////////////////
 //// 関数の定義
 
+/**
+ * 課題パターン (pattern) を表すマップです。
+ * 左右の応答キー (left、right) ごとに、対応する口の長さ (mouth) と frequent であるか否か (frequent) を表します。
+ */
+const taskPatternMap = new Map();
+taskPatternMap.set(1, { left: { mouth: 'short', frequent: true }, right: { mouth: 'long',  frequent: false } });
+taskPatternMap.set(2, { left: { mouth: 'long',  frequent: true }, right: { mouth: 'short', frequent: false } });
+taskPatternMap.set(3, { left: { mouth: 'short', frequent: false }, right: { mouth: 'long',  frequent: true } });
+taskPatternMap.set(4, { left: { mouth: 'long',  frequent: false }, right: { mouth: 'short', frequent: true } });
+
 /**
  * 設定情報を格納したオブジェクトを生成します。
+ * @param {*} config loadTaskConfig で読み込んだ設定ファイルの内容
  */
-const prepareSettings = () => {
+const prepareSettings = (config, resume = null) => {
+
+  // 既定の設定に、設定ファイルの設定、URL のクエリ文字列で指定された設定を順に上書きします。
+  const defaults = mergeSettings(getUserDefinedSettings(), config.values);
+  const { overrides, errors } = getUrlOverrides();
+  let usersettings = mergeSettings(defaults, overrides);
+  usersettings.urlOverrides = overrides;
+  usersettings.configPath = config.path;
+  usersettings.configHash = config.hash;
+  usersettings.errors = [...config.errors, ...errors];
+
+  // 課題で実際に使用する設定を記録用に複製します。
+  usersettings.effectiveSettings = JSON.parse(JSON.stringify(mergeSettings(defaults, overrides)));
+
+  // 左右の応答キーを検証します。
+  if (usersettings.errors.length == 0) {
+    usersettings.errors.push(...validateResponseKeys(usersettings.responseKeys));
+  }
 
-  let usersettings = getUserDefinedSettings();
+  // 報酬スケジュールを検証し、1 ブロックあたりの各刺激の個数を求めます。
+  if (usersettings.errors.length == 0) {
+    const { schedule, errors: scheduleErrors } = prepareSchedule(usersettings.schedule, usersettings.sequenceConstraints);
+    usersettings.schedule = schedule;
+    usersettings.errors.push(...scheduleErrors);
+  }
+
+  // 設定に誤りがある場合は、以降の設定を行いません。
+  if (usersettings.errors.length > 0) {
+    return usersettings;
+  }
+
+  // 乱数のシードを設定します。以降、Math.random はこのシードから乱数を生成します。
+  // シードが指定されていない場合は、自動的に生成したシードを使用します。
+  // 中断したセッションを再開する場合は、前回のシードを使用して、同じパターンと系列を生成します。
+  // シードを指定していて、前回のシードと異なる場合は、指定したシードを使用します (restoreSession で再開しません)。
+  const resumeSettings = resume ? resume.rows.find((row) => row.name == 'settings') : null;
+  if (resumeSettings && resumeSettings.seed && (!usersettings.seed || (usersettings.seed == resumeSettings.seed))) {
+    usersettings.seed = resumeSettings.seed;
+  }
+  usersettings.seed = usersettings.seed
+    ? jsPsych.randomization.setSeed(usersettings.seed)
+    : jsPsych.randomization.setSeed();
 
   // 以下、ソースに関する設定をします。
   // パス名に '/' が不足していれば追加します。
@@ -635,29 +1127,25 @@ const prepareSettings = () => {
     );
   }
 
-  // 課題パターン (pattern) を表すマップです。
-  let patternMap = new Map();
-  patternMap.set(1, { f: { mouth: 'short', frequent: true }, j: { mouth: 'long',  frequent: false } });
-  patternMap.set(2, { f: { mouth: 'long',  frequent: true }, j: { mouth: 'short', frequent: false } });
-  patternMap.set(3, { f: { mouth: 'short', frequent: false }, j: { mouth: 'long',  frequent: true } });
-  patternMap.set(4, { f: { mouth: 'long',  frequent: false }, j: { mouth: 'short', frequent: true } });
-
   // 課題のパターンを取得します。
-  if (usersettings.pattern != 0) {
-    usersettings.taskPattern = patternMap.get(usersettings.pattern);
-  } else {
-    let number = getRandamNumber(1, 4);
-    usersettings.taskPattern = patternMap.get(number);
-  }
+  // pattern が 0 の場合は 1 ～ 4 をランダムに選択し、選択したパターンの番号を記録します。
+  usersettings.patternNumber = (usersettings.pattern != 0) ? usersettings.pattern : getRandamNumber(1, 4);
+  usersettings.taskPattern = taskPatternMap.get(usersettings.patternNumber);
 
   // 口の長さに対応するキー ナビゲーションの表記を設定します。
   usersettings.keynaviMap = new Map();
   usersettings.keynaviMap.set('short', '<b>短い口</b>');
   usersettings.keynaviMap.set('long', '<b>長い口</b>');
 
+  // 左右の応答キーを設定します。
+  usersettings.keys = {
+    left: getResponseKey(usersettings.responseKeys.left),
+    right: getResponseKey(usersettings.responseKeys.right),
+  };
+
   // 口の長さに対応するキーを取得します。
-  usersettings.key_short = (usersettings.taskPattern.f.mouth == 'short') ? 'f' : 'j';
-  usersettings.key_long = (usersettings.taskPattern.f.mouth == 'long') ? 'f' : 'j';
+  usersettings.key_short = (usersettings.taskPattern.left.mouth == 'short') ? usersettings.keys.left.key : usersettings.keys.right.key;
+  usersettings.key_long = (usersettings.taskPattern.left.mouth == 'long') ? usersettings.keys.left.key : usersettings.keys.right.key;
 
   // 使用しないユーザー定義の設定を消去します。
   delete usersettings.sourceFolderPath;
@@ -667,136 +1155,1038 @@ const prepareSettings = () => {
 };
 
 /**
- * 口の短い顔 ('short') と口の長い顔 ('long') がランダムに格納された配列を 3 つ生成します。
- * 配列の長さは 100 回 × 3 試行 = 300 です。
- * 1 試行あたり、口の短い顔と、口の長い顔がそれぞれ 50 個含まれます。
- * 同一の顔は続けて 3 回以上連続することはありません。
+ * 応答キーのコード (KeyboardEvent.code) から、課題で使用するキーの情報を取得します。
+ * 英字 ('KeyF' など) および数字 ('Digit1' など) のキーは小文字の 1 文字、それ以外のキーはコードをキーの値とします。
+ * @param {string} code 応答キーのコード
+ * @returns コード (code)、jsPsych の choices および記録に用いるキーの値 (key)、参加者に示す表記 (label) を格納したオブジェクト
+ */
+const getResponseKey = (code) => {
+  const character = code.match(/^(?:Key|Digit)([A-Z0-9])$/);
+  if (character) {
+    return { code, key: character[1].toLowerCase(), label: character[1] };
+  }
+  const numpad = code.match(/^Numpad([0-9])$/);
+  const labelMap = new Map([['ArrowLeft', '←'], ['ArrowRight', '→'], ['ArrowUp', '↑'], ['ArrowDown', '↓']]);
+  return { code, key: code, label: numpad ? `テンキーの ${numpad[1]}` : (labelMap.get(code) || code) };
+};
+
+/**
+ * 左右の応答キーの設定を検証します。
+ * @param {*} responseKeys ユーザー定義の応答キー
+ * @returns 誤りの内容の配列
+ */
+const validateResponseKeys = (responseKeys) => {
+  let errors = [];
+  if (responseKeys.left == responseKeys.right) {
+    errors.push(`responseKeys: left と right に同じキー (${responseKeys.left}) は指定できません。`);
+  }
+  if ([responseKeys.left, responseKeys.right].includes('Space')) {
+    errors.push(`responseKeys: Space は課題を進めるキーのため、応答キーには指定できません。`);
+  }
+  return errors;
+};
+
+/**
+ * 文章中の {left} および {right} を、左右の応答キーの表記に置き換えます。
+ * @param {*} settings
+ * @param {string} text 文章
+ */
+const formatKeyLabels = (settings, text) => text
+  .replaceAll('{left}', settings.keys.left.label)
+  .replaceAll('{right}', settings.keys.right.label);
+
+/**
+ * 応答キーを、キーボード上の位置 (KeyboardEvent.code) で判定するように設定します。
+ * jsPsych はキーの値 (KeyboardEvent.key) で応答を判定するため、
+ * 応答キーの位置が押された場合は、キーの値を getResponseKey の key に置き換えたイベントを改めて発生させます。
+ * 応答キーと同じ値で位置が異なるキー (配列の違いによるもの) は無視します。
+ * 位置の情報を持たないイベント (jsPsych のシミュレーションなど) はそのまま扱います。
+ * @param {*} settings
+ */
+const useResponseKeyCodes = (settings) => {
+  const keys = [settings.keys.left, settings.keys.right];
+  const remap = (event) => {
+    if (!event.code) {
+      return;
+    }
+    const key = keys.find((item) => item.code == event.code);
+    const eventKey = event.key.toLowerCase();
+    if (key && (eventKey == key.key.toLowerCase())) {
+      return;
+    }
+    if (key || keys.some((item) => item.key.toLowerCase() == eventKey)) {
+      event.stopImmediatePropagation();
+      event.preventDefault();
+    }
+    if (key) {
+      event.target.dispatchEvent(new KeyboardEvent(event.type, { key: key.key, code: key.code, bubbles: true, cancelable: true }));
+    }
+  };
+  document.addEventListener('keydown', remap, true);
+  document.addEventListener('keyup', remap, true);
+};
+
+/**
+ * 設定ファイル全体のスキーマを取得します。
+ * 設定ファイルは settingsSchema の項目のみを持つ JSON オブジェクトです。
+ * すべての項目は省略でき、省略した項目には getUserDefinedSettings の既定値が使用されます。
+ * このスキーマは tools/generate-config-schema.js で config/schema.json に書き出します。
+ */
+const getConfigSchema = () => ({
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Probabilistic Reward Task configuration',
+  type: 'object',
+  properties: { $schema: { type: 'string' }, ...settingsSchema },
+  additionalProperties: false,
+});
+
+/**
+ * 課題の設定ファイル (JSON) を読み込み、スキーマに従って検証します。
+ * 設定ファイルのパスは URL のクエリ パラメーター config で指定します (例: ?config=config/lab-a.json)。
+ * 指定が無い場合は、設定ファイルを読み込まずに既定の設定を使用します。
+ * 設定ファイルでは HTML (messages) を指定できるため、ページと異なるオリジンの設定ファイルは読み込みません。
+ * 読み込みや検証で見つかった誤りは、すべて errors に格納します。
+ * @returns 設定ファイルのパス (path)、検証済みの設定 (values)、誤りの内容の配列 (errors)、
+ *   ファイル内容のハッシュ値 (hash) を格納したオブジェクトの Promise
+ */
+const loadTaskConfig = async () => {
+  const path = new URLSearchParams(window.location.search).get('config');
+  if (!path) {
+    return { path: null, values: {}, errors: [], hash: null };
+  }
+  if (new URL(path, window.location.href).origin !== window.location.origin) {
+    return { path, values: {}, errors: [`config: 設定ファイル ${path} はこのページと同じサーバーに置いてください。`], hash: null };
+  }
+
+  // 設定ファイルを取得します。
+  let text;
+  try {
+    const response = await fetch(path, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    text = await response.text();
+  } catch (error) {
+    return { path, values: {}, errors: [`config: 設定ファイル ${path} を読み込めません (${error.message})。`], hash: null };
+  }
+
+  // 設定ファイルを解析し、検証します。
+  let values;
+  try {
+    values = JSON.parse(text);
+  } catch (error) {
+    return { path, values: {}, errors: [`config: 設定ファイル ${path} は JSON として正しくありません (${error.message})。`], hash: null };
+  }
+  const errors = validateSettingValue(values, getConfigSchema(), 'config');
+  if (errors.length > 0) {
+    return { path, values: {}, errors, hash: null };
+  }
+  delete values.$schema;
+
+  return { path, values, errors, hash: await getTextHash(text) };
+};
+
+/**
+ * 設定を順に上書きしたオブジェクトを生成します。
+ * オブジェクト型の設定項目 (messages など) は、項目ごとに上書きします。
+ * @param {...*} layers 上書きする順に並べた設定のオブジェクト
+ */
+const mergeSettings = (...layers) => {
+  let merged = {};
+  layers.forEach((layer) => {
+    Object.keys(layer).forEach((name) => {
+      if (settingsSchema[name] && settingsSchema[name].type == 'object') {
+        merged[name] = { ...merged[name], ...layer[name] };
+      } else {
+        merged[name] = layer[name];
+      }
+    });
+  });
+  return merged;
+};
+
+/**
+ * 文字列の SHA-256 ハッシュ値を 16 進数の文字列で取得します。
+ * 暗号化 API を利用できない環境 (https でないページなど) では、FNV-1a (32 bit) で代用します。
+ * 値の先頭には、用いたアルゴリズムの名前を付加します (例: 'sha256:…')。
+ * @param {string} text
+ */
+const getTextHash = async (text) => {
+  const bytes = new TextEncoder().encode(text);
+  if (window.crypto && window.crypto.subtle) {
+    const digest = await window.crypto.subtle.digest('SHA-256', bytes);
+    return 'sha256:' + Array.from(new Uint8Array(digest)).map((byte) => byte.toString(16).padStart(2, '0')).join('');
+  }
+  let hash = 0x811c9dc5;
+  bytes.forEach((byte) => {
+    hash = Math.imul(hash ^ byte, 0x01000193) >>> 0;
+  });
+  return 'fnv1a:' + hash.toString(16).padStart(8, '0');
+};
+
+/**
+ * URL のクエリ文字列から、ユーザー定義の設定を上書きする値を取得します。
+ * 値は settingsSchema に従って型変換および検証されます。
+ * settingsSchema に無い名前のパラメーター (reservedQueryParams を除く) と、configOnlySettings の項目は誤りとして扱います。
+ * @returns 上書きする値を格納したオブジェクト (overrides) と、誤りの内容の配列 (errors)
+ */
+const getUrlOverrides = () => {
+  const params = new URLSearchParams(window.location.search);
+  let overrides = {};
+  let errors = [];
+  params.forEach((value, name) => {
+    if (reservedQueryParams.includes(name)) {
+      return;
+    }
+    if (!(name in settingsSchema)) {
+      errors.push(`${name}: 未知の設定項目です。`);
+      return;
+    }
+    if (configOnlySettings.includes(name)) {
+      errors.push(`${name}: URL では指定できません。設定ファイルで指定してください。`);
+      return;
+    }
+    const parsed = parseQueryValue(value, settingsSchema[name]);
+    const valueErrors = validateSettingValue(parsed, settingsSchema[name], name);
+    if (valueErrors.length > 0) {
+      errors.push(...valueErrors);
+    } else {
+      overrides[name] = parsed;
+    }
+  });
+  return { overrides, errors };
+};
+
+/**
+ * クエリ パラメーターの文字列を、設定項目の型に合わせて変換します。
+ * 変換できない場合は、元の文字列をそのまま返します (検証で誤りとなります)。
+ * オブジェクト型の設定項目 (schedule など) は JSON で指定します。
+ * @param {string} value クエリ パラメーターの値
+ * @param {*} schema 設定項目の定義
+ */
+const parseQueryValue = (value, schema) => {
+  if (schema.type == 'integer' || schema.type == 'number') {
+    const number = Number(value);
+    return (value.trim() !== '' && Number.isFinite(number)) ? number : value;
+  } else if (schema.type == 'boolean') {
+    return (value == 'true') ? true : (value == 'false') ? false : value;
+  } else if (schema.type == 'object') {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+  return value;
+};
+
+/**
+ * 設定項目の値が定義に従っているかを検証します。
+ * @param {*} value 設定項目の値
+ * @param {*} schema 設定項目の定義
+ * @param {string} path 誤りの表示に用いる設定項目の名前
+ * @returns 誤りの内容を表す文字列の配列 (誤りが無ければ空の配列)
+ */
+const validateSettingValue = (value, schema, path) => {
+  const valueString = JSON.stringify(value);
+  if (schema.type == 'integer' && !Number.isInteger(value)) {
+    return [`${path}: 整数を指定してください (指定値: ${valueString})。`];
+  }
+  if (schema.type == 'number' && !(typeof value == 'number' && Number.isFinite(value))) {
+    return [`${path}: 数値を指定してください (指定値: ${valueString})。`];
+  }
+  if (schema.type == 'string' && typeof value != 'string') {
+    return [`${path}: 文字列を指定してください (指定値: ${valueString})。`];
+  }
+  if (schema.type == 'boolean' && typeof value != 'boolean') {
+    return [`${path}: true または false を指定してください (指定値: ${valueString})。`];
+  }
+  if (schema.type == 'array' && !Array.isArray(value)) {
+    return [`${path}: 配列を指定してください。`];
+  }
+  if (schema.type == 'object' && (typeof value != 'object' || value === null || Array.isArray(value))) {
+    return [`${path}: オブジェクトを指定してください。`];
+  }
+
+  let errors = [];
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path}: ${schema.minimum} 以上の値を指定してください (指定値: ${valueString})。`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${path}: ${schema.maximum} 以下の値を指定してください (指定値: ${valueString})。`);
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${path}: ${schema.minLength} 文字以上で指定してください。`);
+  }
+  if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path}: 形式が正しくありません (指定値: ${valueString})。`);
+  }
+  if (schema.enum !== undefined && !schema.enum.includes(value)) {
+    errors.push(`${path}: ${schema.enum.join('、')} のいずれかを指定してください (指定値: ${valueString})。`);
+  }
+  if (schema.type == 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSettingValue(item, schema.items, `${path}[${index}]`));
+    });
+  }
+  if (schema.type == 'object') {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: 値を指定してください。`);
+      }
+    });
+    Object.keys(value).forEach((key) => {
+      if (schema.properties && schema.properties[key] && value[key] !== undefined) {
+        errors.push(...validateSettingValue(value[key], schema.properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false && !(schema.properties && schema.properties[key])) {
+        errors.push(`${path}.${key}: 未知の設定項目です。`);
+      }
+    });
+  }
+  return errors;
+};
+
+/**
+ * HTML として表示する文字列の特殊文字をエスケープします。
+ * @param {string} text
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * 報酬スケジュールを検証し、1 ブロックあたりの各刺激の個数を求めます。
+ * frequent および infrequent 刺激の個数と reward の回数がすべて整数となり、
+ * 同一の顔の連続回数が sequenceConstraints.maxSameMouthRun 以下となる並びを作成できることを確認します。
+ * @param {*} schedule ユーザー定義の報酬スケジュール
+ * @param {*} constraints ユーザー定義の系列の制約
+ * @returns frequentTrials、infrequentTrials を加え、reward の回数を確定した報酬スケジュール (schedule) と、
+ *   誤りの内容の配列 (errors)
+ */
+const prepareSchedule = (schedule, constraints) => {
+  // 浮動小数点数の丸め誤差 (例: 100 × 0.29 = 28.999999999999996) を許容して、整数に丸めます。整数に近くない場合は null を返します。
+  const toCount = (value) => (Math.abs(value - Math.round(value)) < 1e-9) ? Math.round(value) : null;
+  let result = { ...schedule };
+  let errors = [];
+
+  // 1 ブロックあたりの frequent および infrequent 刺激の個数を求めます。
+  result.frequentTrials = toCount(schedule.trialsPerBlock * schedule.frequentProportion);
+  if (result.frequentTrials === null) {
+    errors.push(`schedule: trialsPerBlock × frequentProportion (${schedule.trialsPerBlock} × ${schedule.frequentProportion}) が整数になりません。`);
+    return { schedule: result, errors };
+  }
+  result.infrequentTrials = schedule.trialsPerBlock - result.frequentTrials;
+
+  // rewardRatio が指定されている場合は、rewardsPerBlock 回の reward をその比で配分します。
+  if (schedule.rewardRatio) {
+    const [frequentRatio, infrequentRatio] = schedule.rewardRatio.split(':').map(Number);
+    if (frequentRatio + infrequentRatio == 0) {
+      errors.push(`schedule.rewardRatio: 0:0 は指定できません。`);
+      return { schedule: result, errors };
+    }
+    result.frequentRewards = toCount(schedule.rewardsPerBlock * frequentRatio / (frequentRatio + infrequentRatio));
+    if (result.frequentRewards === null) {
+      errors.push(`schedule: rewardsPerBlock (${schedule.rewardsPerBlock}) を ${schedule.rewardRatio} の比で整数に配分できません。`);
+      return { schedule: result, errors };
+    }
+    result.infrequentRewards = schedule.rewardsPerBlock - result.frequentRewards;
+  }
+
+  // reward の回数が刺激の個数を超えていないかを確認します。
+  if (result.frequentRewards > result.frequentTrials) {
+    errors.push(`schedule: frequent 刺激の reward の回数 (${result.frequentRewards}) が frequent 刺激の個数 (${result.frequentTrials}) を超えています。`);
+  }
+  if (result.infrequentRewards > result.infrequentTrials) {
+    errors.push(`schedule: infrequent 刺激の reward の回数 (${result.infrequentRewards}) が infrequent 刺激の個数 (${result.infrequentTrials}) を超えています。`);
+  }
+
+  // 同一の顔の連続回数が maxSameMouthRun 以下となるように並べられるかを確認します。
+  // 多い方の刺激は、少ない方の刺激で区切られた (少ない方の個数 + 1) 個の区間に maxSameMouthRun 個ずつまで並べられます。
+  const maxTrials = Math.max(result.frequentTrials, result.infrequentTrials);
+  const minTrials = Math.min(result.frequentTrials, result.infrequentTrials);
+  if (maxTrials > constraints.maxSameMouthRun * (minTrials + 1)) {
+    errors.push(`schedule: frequent 刺激と infrequent 刺激の個数 (${result.frequentTrials}、${result.infrequentTrials}) の差が大きく、同一の顔の連続を ${constraints.maxSameMouthRun} 回以下にして並べられません。`);
+  }
+  return { schedule: result, errors };
+};
+
+/**
+ * 試行回数がブロックの境界 (最後のブロックを除く各ブロックの最後の試行) であるかを判定します。
+ * @param {*} settings
+ * @param {number} count 試行回数 (trial_count)
+ */
+const isBlockBoundary = (settings, count) => {
+  const schedule = settings.schedule;
+  return (count % schedule.trialsPerBlock == 0) && (count < schedule.trialsPerBlock * schedule.blockCount);
+};
+
+/**
+ * 口の短い顔 ('short') と口の長い顔 ('long') が、系列の制約 (sequenceConstraints) を満たすように
+ * ランダムに格納された配列を blockCount 個生成します。
+ * 既定では、配列の長さは 100 回 × 3 ブロック = 300 です。
+ * 1 ブロックあたり、frequent である顔が frequentTrials 個、infrequent である顔が infrequentTrials 個
+ * (既定ではそれぞれ 50 個) 含まれます。
+ * 既定では、同一の顔は続けて 3 回以上連続することはありません。
  * 画像と一緒に
- * correct_key: 正しいキーの種類 ('f' または 'j')
+ * correct_key: 正しいキーの種類 (既定では 'f' または 'j')
  * reward: 報酬の対象となる試行 (true または false)
  * を合わせて設定します。
- * frequent である顔は、60% (30 回) が reward の対象です。
- * infrequent である顔は、20% (10 回) が reward の対象です。
+ * frequent である顔は、frequentRewards 回 (既定では 30 回、60%) が reward の対象です。
+ * infrequent である顔は、infrequentRewards 回 (既定では 10 回、20%) が reward の対象です。
+ * @returns 刺激パターン (stimulusPattern、制約を満たせなかった場合は null) と、
+ *   並べ直しを試行した回数の合計 (attempts) を格納したオブジェクト
  */
 const generateStimulusPattern = (settings) => {
   // 画像を定数に格納します。
-  const imageF = settings.stimSourceMap.get(settings.taskPattern.f.mouth);
-  const imageJ = settings.stimSourceMap.get(settings.taskPattern.j.mouth);
+  const imageLeft = settings.stimSourceMap.get(settings.taskPattern.left.mouth);
+  const imageRight = settings.stimSourceMap.get(settings.taskPattern.right.mouth);
+  const keyLeft = settings.keys.left.key;
+  const keyRight = settings.keys.right.key;
 
-  // 100 試行分の刺激を生成します。
+  // 報酬スケジュールと系列の制約を定数に格納します。
+  const schedule = settings.schedule;
+  const constraints = settings.sequenceConstraints;
+
+  // 1 ブロック分の刺激を生成します。
   const pattern = () => {
     // frequent 刺激の設定をします。
     let frequent = [];
     // frequent 刺激の reward の場合の設定をします。
-    for (let i = 0; i < 30; i++) {
-      if (settings.taskPattern.f.frequent) {
-        frequent.push( { stimulus : imageF, correct_key: 'f', frequency: 'frequent', reward: true } );
+    for (let i = 0; i < schedule.frequentRewards; i++) {
+      if (settings.taskPattern.left.frequent) {
+        frequent.push( { stimulus : imageLeft, correct_key: keyLeft, frequency: 'frequent', reward: true } );
       } else {
-        frequent.push( { stimulus : imageJ, correct_key: 'j', frequency: 'frequent', reward: true } );
+        frequent.push( { stimulus : imageRight, correct_key: keyRight, frequency: 'frequent', reward: true } );
       }
     }
     // frequent 刺激の reward でない場合の設定をします。
-    for (let i = 0; i < 20; i++) {
-      if (settings.taskPattern.f.frequent) {
-        frequent.push( { stimulus : imageF, correct_key: 'f', frequency: 'frequent', reward: false } );
+    for (let i = 0; i < schedule.frequentTrials - schedule.frequentRewards; i++) {
+      if (settings.taskPattern.left.frequent) {
+        frequent.push( { stimulus : imageLeft, correct_key: keyLeft, frequency: 'frequent', reward: false } );
       } else {
-        frequent.push( { stimulus : imageJ, correct_key: 'j', frequency: 'frequent', reward: false } );
+        frequent.push( { stimulus : imageRight, correct_key: keyRight, frequency: 'frequent', reward: false } );
       }
     }
 
     // infrequent 刺激の設定をします。
     let infrequent = [];
     // infrequent 刺激の reward の場合の設定をします。
-    for (let i = 0; i < 10; i++) {
-      if (settings.taskPattern.f.frequent) {
-        infrequent.push( { stimulus : imageJ, correct_key: 'j', frequency: 'infrequent', reward: true } );
+    for (let i = 0; i < schedule.infrequentRewards; i++) {
+      if (settings.taskPattern.left.frequent) {
+        infrequent.push( { stimulus : imageRight, correct_key: keyRight, frequency: 'infrequent', reward: true } );
       } else {
-        infrequent.push( { stimulus : imageF, correct_key: 'f', frequency: 'infrequent', reward: true } );
+        infrequent.push( { stimulus : imageLeft, correct_key: keyLeft, frequency: 'infrequent', reward: true } );
       }
     }
     // infrequent 刺激の reward でない場合の設定をします。
-    for (let i = 0; i < 40; i++) {
-      if (settings.taskPattern.f.frequent) {
-        infrequent.push( { stimulus : imageJ, correct_key: 'j', frequency: 'infrequent', reward: false } );
+    for (let i = 0; i < schedule.infrequentTrials - schedule.infrequentRewards; i++) {
+      if (settings.taskPattern.left.frequent) {
+        infrequent.push( { stimulus : imageRight, correct_key: keyRight, frequency: 'infrequent', reward: false } );
       } else {
-        infrequent.push( { stimulus : imageF, correct_key: 'f', frequency: 'infrequent', reward: false } );
+        infrequent.push( { stimulus : imageLeft, correct_key: keyLeft, frequency: 'infrequent', reward: false } );
+      }
+    }
+    return [...frequent, ...infrequent];
+  };
+
+  // 刺激パターンを格納する配列です。
+  let stimulusPattern = [];
+  let attempts = 0;
+
+  // blockCount ブロック分 (既定では 100 回 × 3) の刺激を、制約を満たすように並べます。
+  // balancedHalves が true の場合は、ブロックの前半と後半に分けてそれぞれを並べます。
+  // 制約は、それまでに並べた刺激から続けて判定します。
+  for (let i = 0; i < schedule.blockCount; i++) {
+    const segments = constraints.balancedHalves ? splitIntoHalves(pattern()) : [pattern()];
+    for (const segment of segments) {
+      const result = arrangeWithConstraints(segment, stimulusPattern, constraints);
+      attempts += result.attempts;
+      if (!result.sequence) {
+        return { stimulusPattern: null, attempts };
       }
+      stimulusPattern.push(...result.sequence);
     }
+  }
+
+  // 試行回数をプロパティに設定します。
+  for (let i = 0; i < stimulusPattern.length; i++) {
+    stimulusPattern[i].trial_count = i + 1;
+  }
 
-    // 配列をシャッフルします。
-    let shuffledFrequent = jsPsych.randomization.shuffle(frequent);
-    let shuffledInfrequent = jsPsych.randomization.shuffle(infrequent);
-
-    // 以下、frequent および infrequent 刺激が 1 または 2 個おきに表示されるように設定します。
-    // 1 または 2 を要素とし、これらが並んだ配列 (countArray_50) を作成します。
-    // これらの要素数の和が 50 となるように、1 および 2 を等確率でランダムに選択します。
-    // countArray_50 をシャッフルした配列を 2 つ用意し、それぞれの要素を交互に追加した新たな配列を作成します (countArray、要素数の和は 100)。
-    // 新たに作成した配列の要素を frequent または infrequent の要素数として交互に取り出します。
-
-    // countArray を作成します。
-    let sum = 0;
-    let countArray_50 = [];
-    while (sum <= 50) {
-      let element = getRandamNumber(1, 2);
-      countArray_50.push(element);
-      sum += element;
-      if (sum == 49) {
-        countArray_50.push(1);
-        sum += 1;
+  // testPattern(settings, stimulusPattern); 刺激パターンのテストです。
+
+  return { stimulusPattern, attempts };
+};
+
+/**
+ * 刺激を、系列の制約を満たすようにランダムな順序に並べます。
+ * 先頭から 1 つずつ、制約を満たし、かつ残りの刺激を連続回数の制約を満たして並べられる刺激の中から
+ * ランダムに選んで並べます。
+ * 制約を満たす刺激が無くなった場合は、最初から並べ直します (最大 maxAttempts 回)。
+ * @param {*[]} items 並べる刺激の配列
+ * @param {*[]} preceding 直前までに並べた刺激の配列 (制約の判定に用います)
+ * @param {*} constraints 系列の制約
+ * @returns 並べた刺激の配列 (sequence、制約を満たせなかった場合は null) と、試行した回数 (attempts)
+ */
+const arrangeWithConstraints = (items, preceding, constraints) => {
+  for (let attempt = 1; attempt <= constraints.maxAttempts; attempt++) {
+    let remaining = [...items];
+    let history = [...preceding];
+    while (remaining.length > 0) {
+      const candidates = remaining.filter((item) => satisfiesConstraints(history, item, constraints)
+        && canArrangeRemaining(history, item, remaining, constraints));
+      if (candidates.length == 0) {
+        break;
       }
+      const item = candidates[getRandamNumber(0, candidates.length - 1)];
+      remaining.splice(remaining.indexOf(item), 1);
+      history.push(item);
     }
-    let countArray_50_1 = jsPsych.randomization.shuffle(countArray_50);
-    let countArray_50_2 = jsPsych.randomization.shuffle(countArray_50);
-    let countArray = [];
-    for (let i = 0; i < countArray_50.length; i++) {
-      countArray.push(countArray_50_1[i]);
-      countArray.push(countArray_50_2[i]);
+    if (remaining.length == 0) {
+      return { sequence: history.slice(preceding.length), attempts: attempt };
     }
+  }
+  return { sequence: null, attempts: constraints.maxAttempts };
+};
 
-    // frequent および infrequent のどちらの刺激を先に表示するかを決定します。
-    let order = jsPsych.randomization.sampleWithoutReplacement([shuffledFrequent, shuffledInfrequent], 2);
+/**
+ * 刺激を系列の末尾に加えたときに、系列の制約を満たすかを判定します。
+ * @param {*[]} history それまでに並べた刺激の配列
+ * @param {*} item 加える刺激
+ * @param {*} constraints 系列の制約
+ */
+const satisfiesConstraints = (history, item, constraints) => {
+  // 同一の顔 (frequency) の連続回数を確認します。
+  let run = 1;
+  for (let i = history.length - 1; (i >= 0) && (history[i].frequency == item.frequency); i--) {
+    run++;
+  }
+  if (run > constraints.maxSameMouthRun) {
+    return false;
+  }
 
-    // 刺激を格納する配列を作成します。
-    let pattern = [];
+  // reward の試行の連続回数を確認します。
+  if ((constraints.maxRewardRun > 0) && item.reward) {
+    let rewardRun = 1;
+    for (let i = history.length - 1; (i >= 0) && history[i].reward; i--) {
+      rewardRun++;
+    }
+    if (rewardRun > constraints.maxRewardRun) {
+      return false;
+    }
+  }
 
-    // 刺激を順番に格納します。
-    let order0_count = 0;
-    let order1_count = 0;
-    for (let i = 0; i < countArray.length; i++) {
-      let length = countArray[i];
-      if ((i % 2) == 0) {
-        pattern.push(...(order[0].slice(order0_count, order0_count + length)));
-        order0_count += length;
-      } else {
-        pattern.push(...(order[1].slice(order1_count, order1_count + length)));
-        order1_count += length;
+  // 直前の infrequent 刺激の reward との間隔 (間に挟まる試行数) を確認します。
+  if ((constraints.minInfrequentRewardSpacing > 0) && item.reward && (item.frequency == 'infrequent')) {
+    for (let gap = 0; (gap < constraints.minInfrequentRewardSpacing) && (history.length - 1 - gap >= 0); gap++) {
+      const previous = history[history.length - 1 - gap];
+      if (previous.reward && (previous.frequency == 'infrequent')) {
+        return false;
       }
     }
-    return pattern;
+  }
+  return true;
+};
+
+/**
+ * 刺激を系列の末尾に加えた後に、残りの刺激を同一の顔および reward の試行の連続回数の制約を満たして
+ * 並べられるかを判定します。
+ * 2 種類の刺激 (X、Y) を X の連続回数を R 回以下として並べられるのは、
+ * X の個数が (末尾の X の連続を R 回まで延ばせる個数) + R × (Y の個数) 以下のときです。
+ * @param {*[]} history それまでに並べた刺激の配列
+ * @param {*} item 加える刺激
+ * @param {*[]} remaining 加える刺激を含む、まだ並べていない刺激の配列
+ * @param {*} constraints 系列の制約
+ */
+const canArrangeRemaining = (history, item, remaining, constraints) => {
+  const rest = remaining.filter((element) => element !== item);
+
+  // 末尾の刺激と同じ条件を満たす刺激の連続回数を求めます。
+  const trailingRun = (condition) => {
+    let run = condition(item) ? 1 : 0;
+    for (let i = history.length - 1; run > 0 && (i >= 0) && condition(history[i]); i--) {
+      run++;
+    }
+    return run;
+  };
+  // 条件を満たす刺激 (X) と満たさない刺激 (Y) を、X の連続回数を maxRun 回以下として並べられるかを判定します。
+  const canArrange = (condition, maxRun) => {
+    const countX = rest.filter(condition).length;
+    const countY = rest.length - countX;
+    return countX <= (maxRun - trailingRun(condition)) + maxRun * countY;
   };
 
-  // 刺激パターンを格納する配列です。
-  let stimulusPattern = [];
+  // 同一の顔の連続回数は、frequent と infrequent の両方について判定します。
+  const maxMouthRun = constraints.maxSameMouthRun;
+  if (!canArrange((element) => element.frequency == 'frequent', maxMouthRun)
+    || !canArrange((element) => element.frequency == 'infrequent', maxMouthRun)) {
+    return false;
+  }
+  // reward の試行の連続回数を判定します。
+  if ((constraints.maxRewardRun > 0) && !canArrange((element) => element.reward, constraints.maxRewardRun)) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * 1 ブロック分の刺激を、前半と後半に均等に分割します。
+ * frequency と reward の組み合わせごとに、前半と後半の個数の差が 1 以下になるように分割します。
+ * 個数が奇数の組み合わせの余りは、前半の刺激の個数がブロックの半分 (切り捨て) になるようにランダムに割り当てます。
+ * @param {*[]} items 1 ブロック分の刺激の配列
+ * @returns 前半と後半の刺激の配列を格納した配列
+ */
+const splitIntoHalves = (items) => {
+  // frequency と reward の組み合わせごとに刺激を分類します。
+  let groups = new Map();
+  jsPsych.randomization.shuffle(items).forEach((item) => {
+    const key = `${item.frequency}-${item.reward}`;
+    groups.set(key, [...(groups.get(key) || []), item]);
+  });
+
+  // 各組み合わせの半分 (切り捨て) を前半に割り当て、余りを必要な数だけ前半に加えます。
+  let first = [];
+  let second = [];
+  let remainders = [];
+  groups.forEach((group) => {
+    const half = Math.floor(group.length / 2);
+    first.push(...group.slice(0, half));
+    second.push(...group.slice(half, half * 2));
+    if (group.length % 2 == 1) {
+      remainders.push(group[group.length - 1]);
+    }
+  });
+  const needed = Math.floor(items.length / 2) - first.length;
+  jsPsych.randomization.shuffle(remainders).forEach((item, index) => {
+    (index < needed) ? first.push(item) : second.push(item);
+  });
+  return [first, second];
+};
+
+/**
+ * 本番課題の刺激パターンを用意し、settings.stimulusPattern に格納します。
+ * 固定の刺激系列が読み込まれている場合はそれを使用し、そうで無い場合は刺激パターンを生成します。
+ * 系列の制約を満たす刺激パターンを生成できなかった場合は、settings.errors に誤りを追加します。
+ * 刺激系列の書き出しが指定されている場合は、ファイルをダウンロードします。
+ * @param {*} settings
+ */
+const prepareStimulusPattern = (settings) => {
+  if (settings.fixedSequence) {
+    settings.stimulusPattern = buildStimulusPatternFromSequence(settings, settings.fixedSequence);
+    settings.sequenceAttempts = 0;
+  } else {
+    const { stimulusPattern, attempts } = generateStimulusPattern(settings);
+    settings.sequenceAttempts = attempts;
+    if (!stimulusPattern) {
+      settings.errors.push(`sequenceConstraints: ${attempts} 回並べ直しても、制約を満たす刺激系列を作成できませんでした。`);
+      return;
+    }
+    settings.stimulusPattern = stimulusPattern;
+  }
 
-  // 300 回分 (100 回 × 3) の刺激を生成します。
-  for (let i = 0; i < 3; i++) {
-    stimulusPattern.push(pattern());
+  // 刺激系列の書き出しが指定されている場合は、ファイルをダウンロードします。
+  if (settings.exportSequence) {
+    downloadTextFile(
+      serializeStimulusPattern(settings, settings.stimulusPattern, settings.exportSequence),
+      `prt_sequence_${settings.seed}.${settings.exportSequence}`
+    );
   }
+};
 
-  // 配列を平坦化し、試行回数をプロパティに設定します。
-  stimulusPattern = stimulusPattern.flat();
-  for (let i = 0; i < stimulusPattern.length; i++) {
-    stimulusPattern[i].trial_count = i + 1;
+/**
+ * 固定の刺激系列ファイル (sequenceFile) を読み込み、検証します。
+ * 系列が正しい場合は settings.fixedSequence に格納し、誤りがある場合は settings.errors に追加します。
+ * pattern が 0 (ランダム) の場合は、系列の frequent 刺激に合うように課題パターンの頻度を入れ替えます。
+ * @param {*} settings
+ */
+const loadSequenceFile = async (settings) => {
+  // 系列ファイルを取得して解析します。
+  let rows;
+  try {
+    const response = await fetch(settings.sequenceFile, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    rows = parseSequenceText(await response.text());
+  } catch (error) {
+    settings.errors.push(`sequenceFile: 系列ファイル ${settings.sequenceFile} を読み込めません (${error.message})。`);
+    return;
+  }
+
+  // 系列を検証します。
+  const { errors, frequentMouth } = validateSequence(settings, rows);
+  if (errors.length > 0) {
+    settings.errors.push(...errors);
+    return;
+  }
+
+  // 系列の frequent 刺激と課題パターンが一致しているかを確認します。
+  const patternFrequentMouth = settings.taskPattern.left.frequent ? settings.taskPattern.left.mouth : settings.taskPattern.right.mouth;
+  if (patternFrequentMouth != frequentMouth) {
+    if (settings.pattern == 0) {
+      // ランダムに選択したパターンの頻度を入れ替えます (1 ↔ 3、2 ↔ 4)。キーと口の長さの対応は変わりません。
+      settings.patternNumber = (settings.patternNumber + 1) % 4 + 1;
+      settings.taskPattern = taskPatternMap.get(settings.patternNumber);
+    } else {
+      settings.errors.push(`sequenceFile: 系列の frequent 刺激 (${frequentMouth}) が pattern ${settings.pattern} と一致しません。`);
+      return;
+    }
+  }
+  settings.fixedSequence = rows;
+};
+
+/**
+ * yoked の場合に再生する、他の参加者の報酬の履歴 (reinforcement.yokedFile) を読み込み、検証します。
+ * 履歴が正しい場合は、試行ごとに報酬を与えるか否かを表す bool 値の配列を settings.yokedRewards に格納し、
+ * 誤りがある場合は settings.errors に追加します。
+ * @param {*} settings
+ */
+const loadYokedRewards = async (settings) => {
+  const path = settings.reinforcement.yokedFile;
+  if (!path) {
+    settings.errors.push(`reinforcement.yokedFile: mode が yoked の場合は、報酬の履歴のファイルを指定してください。`);
+    return;
+  }
+
+  // 履歴のファイルを取得して解析します。
+  let rows;
+  try {
+    const response = await fetch(path, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    rows = parseTableText(await response.text());
+  } catch (error) {
+    settings.errors.push(`reinforcement.yokedFile: 報酬の履歴のファイル ${path} を読み込めません (${error.message})。`);
+    return;
+  }
+
+  // 本課題のデータ ファイルの場合は、本番課題の応答の行のみを使用します。
+  if (rows.some((row) => row.name !== undefined)) {
+    rows = rows.filter((row) => row.name == 'signal for reward');
+  }
+
+  // 試行数と各試行の値を確認します。
+  const expectedLength = settings.stimulusPattern.length;
+  if (rows.length != expectedLength) {
+    settings.errors.push(`reinforcement.yokedFile: 試行数 (${rows.length}) が本番課題の試行数 (${expectedLength}) と一致しません。`);
+    return;
+  }
+  let yokedRewards = [];
+  for (let i = 0; i < rows.length; i++) {
+    const trialCount = Number(rows[i].trial_count);
+    const delivered = parseBooleanValue(rows[i].reward_delivered);
+    if (trialCount !== i + 1 || typeof delivered != 'boolean') {
+      settings.errors.push(`reinforcement.yokedFile: ${i + 1} 試行目の trial_count または reward_delivered が正しくありません。`);
+      return;
+    }
+    yokedRewards.push(delivered);
+  }
+  settings.yokedRewards = yokedRewards;
+};
+
+/**
+ * 固定の刺激系列ファイルの内容を解析し、試行ごとのオブジェクトの配列に変換します。
+ * trial_count は数値に、reward は bool 値に変換します。
+ * @param {string} text ファイルの内容
+ */
+const parseSequenceText = (text) => parseTableText(text).map((row) => ({
+  trial_count: (typeof row.trial_count == 'string') ? Number(row.trial_count) : row.trial_count,
+  stimulus: row.stimulus,
+  frequency: row.frequency,
+  reward: parseBooleanValue(row.reward),
+}));
+
+/**
+ * 固定の刺激系列が報酬スケジュール (schedule) と一致しているかを検証します。
+ * 各試行の値、口の長さと頻度の対応、ブロックごとの刺激の個数および reward の回数を確認します。
+ * @param {*} settings
+ * @param {*[]} rows parseSequenceText で変換した試行の配列
+ * @returns 誤りの内容の配列 (errors) と、系列の frequent 刺激の口の長さ (frequentMouth)
+ */
+const validateSequence = (settings, rows) => {
+  const schedule = settings.schedule;
+  let errors = [];
+
+  // 試行数を確認します。
+  const expectedLength = schedule.blockCount * schedule.trialsPerBlock;
+  if (rows.length != expectedLength) {
+    errors.push(`sequenceFile: 試行数 (${rows.length}) が schedule の試行数 (${expectedLength}) と一致しません。`);
+  }
+
+  // 各試行の値と、口の長さと頻度の対応を確認します。
+  let rowErrors = [];
+  let frequencyOfMouth = {};
+  rows.forEach((row, index) => {
+    const label = `sequenceFile: ${index + 1} 試行目`;
+    if (row.trial_count !== index + 1) {
+      rowErrors.push(`${label}: trial_count は ${index + 1} である必要があります (指定値: ${row.trial_count})。`);
+    }
+    if (!['short', 'long'].includes(row.stimulus)) {
+      rowErrors.push(`${label}: stimulus は short または long である必要があります (指定値: ${row.stimulus})。`);
+    }
+    if (!['frequent', 'infrequent'].includes(row.frequency)) {
+      rowErrors.push(`${label}: frequency は frequent または infrequent である必要があります (指定値: ${row.frequency})。`);
+    }
+    if (typeof row.reward != 'boolean') {
+      rowErrors.push(`${label}: reward は true または false である必要があります (指定値: ${row.reward})。`);
+    }
+    if (frequencyOfMouth[row.stimulus] === undefined) {
+      frequencyOfMouth[row.stimulus] = row.frequency;
+    } else if (frequencyOfMouth[row.stimulus] != row.frequency) {
+      rowErrors.push(`${label}: ${row.stimulus} の frequency が他の試行と異なります。`);
+    }
+  });
+  // 誤りが多い場合は、最初の 10 件のみを表示します。
+  errors.push(...rowErrors.slice(0, 10));
+  if (rowErrors.length > 10) {
+    errors.push(`sequenceFile: ほかに ${rowErrors.length - 10} 件の誤りがあります。`);
+  }
+  if (errors.length > 0) {
+    return { errors, frequentMouth: null };
+  }
+  if (frequencyOfMouth.short == frequencyOfMouth.long) {
+    errors.push(`sequenceFile: short と long の frequency が同じです。`);
+    return { errors, frequentMouth: null };
+  }
+
+  // ブロックごとの刺激の個数と reward の回数を確認します。
+  for (let block = 0; block < schedule.blockCount; block++) {
+    const blockRows = rows.slice(block * schedule.trialsPerBlock, (block + 1) * schedule.trialsPerBlock);
+    const count = (frequency, rewardOnly) => blockRows.filter((row) => (row.frequency == frequency) && (!rewardOnly || row.reward)).length;
+    const expected = [
+      ['frequent 刺激の個数', count('frequent', false), schedule.frequentTrials],
+      ['infrequent 刺激の個数', count('infrequent', false), schedule.infrequentTrials],
+      ['frequent 刺激の reward の回数', count('frequent', true), schedule.frequentRewards],
+      ['infrequent 刺激の reward の回数', count('infrequent', true), schedule.infrequentRewards],
+    ];
+    expected.forEach(([label, actual, value]) => {
+      if (actual != value) {
+        errors.push(`sequenceFile: ブロック ${block + 1} の${label} (${actual}) が schedule (${value}) と一致しません。`);
+      }
+    });
+  }
+  const frequentMouth = (frequencyOfMouth.short == 'frequent') ? 'short' : 'long';
+  return { errors, frequentMouth };
+};
+
+/**
+ * 固定の刺激系列から、本番課題の刺激パターンを生成します。
+ * @param {*} settings
+ * @param {*[]} rows 検証済みの試行の配列
+ */
+const buildStimulusPatternFromSequence = (settings, rows) => rows.map((row) => ({
+  stimulus: settings.stimSourceMap.get(row.stimulus),
+  correct_key: (row.stimulus == 'short') ? settings.key_short : settings.key_long,
+  frequency: row.frequency,
+  reward: row.reward,
+  trial_count: row.trial_count,
+}));
+
+/**
+ * 刺激パターンを、固定の刺激系列ファイルの形式 (CSV または JSON) の文字列に変換します。
+ * stimulus には画像ではなく口の長さ ('short' または 'long') を出力します。
+ * @param {*} settings
+ * @param {*[]} stimulusPattern 本番課題の刺激パターン
+ * @param {string} format 'csv' または 'json'
+ */
+const serializeStimulusPattern = (settings, stimulusPattern, format) => {
+  const rows = stimulusPattern.map((trial) => ({
+    trial_count: trial.trial_count,
+    stimulus: (trial.correct_key == settings.key_short) ? 'short' : 'long',
+    frequency: trial.frequency,
+    reward: trial.reward,
+  }));
+  if (format == 'json') {
+    return JSON.stringify(rows, null, 2);
   }
+  const columns = ['trial_count', 'stimulus', 'frequency', 'reward'];
+  return [columns.join(','), ...rows.map((row) => columns.map((column) => row[column]).join(','))].join('\n');
+};
+
+/**
+ * 報酬の与え方 (reinforcement) に従って、試行ごとに報酬を与えるか否かを決定する強化エンジンを生成します。
+ * controlled の場合は、frequent および infrequent 刺激ごとに、保留中の報酬 (pending) の待ち行列を持ちます。
+ * 1 試行ごとの状態の遷移は次のとおりです。
+ *   正しい応答で reward の試行: 報酬を与えます (reward_source: 'scheduled')。
+ *     同じ刺激の保留中の報酬は失われます (forfeited)。
+ *   正しい応答で reward でない試行: 同じ刺激の保留中の報酬があれば、最も古いものを与えます (reward_source: 'carry-over')。
+ *   誤った応答で reward の試行: 報酬を保留します。待ち行列が一杯 (maxPending 個) の場合は、その試行の報酬は失われます。
+ *     制限時間内に応答しなかった (missed) 場合は、responseDeadline.missHandling が 'carry-over' であれば誤った応答と同様に保留し、
+ *     'forfeit' であればその試行の報酬は失われます。
+ *   誤った応答で reward でない試行: 何もしません。
+ * probabilistic および yoked の場合は、保留中の報酬を持ちません。
+ * yoked の場合、missed の試行の報酬は失われます。
+ * 与えた報酬の合計の金額 (rewardAmount × 報酬を与えた回数) を running_total として記録します。
+ * @param {*} settings
+ * @returns reset (状態の初期化)、step (1 試行分の遷移)、getLastTransition (直前の遷移の取得) を持つオブジェクト
+ */
+const createReinforcementEngine = (settings) => {
+  // 刺激ごとに保留できる報酬の最大数です。
+  const maxPending = 1;
+  let pending = { frequent: [], infrequent: [] };
+  let totalAmount = 0;
+  let lastTransition = null;
+
+  // 1 試行分の遷移を求め、報酬を与えるか否かと、報酬の出所を返します。
+  const decide = (trial, queue, forfeited) => {
+    const mode = settings.reinforcement.mode;
+    if (mode == 'probabilistic') {
+      const probability = (trial.frequency == 'frequent')
+        ? settings.reinforcement.frequentProbability
+        : settings.reinforcement.infrequentProbability;
+      return (trial.correct && (Math.random() < probability)) ? { source: 'probabilistic' } : null;
+    }
+    if (mode == 'yoked') {
+      if (!settings.yokedRewards[trial.trial_count - 1]) {
+        return null;
+      }
+      if (trial.missed) {
+        forfeited.push(trial.trial_count);
+        return null;
+      }
+      return { source: 'yoked' };
+    }
+    if (trial.correct) {
+      if (trial.reward) {
+        forfeited.push(...queue.splice(0));
+        return { source: 'scheduled' };
+      }
+      if (queue.length > 0) {
+        return { source: 'carry-over', carriedFrom: queue.shift() };
+      }
+      return null;
+    }
+    if (trial.reward) {
+      const carryOver = !trial.missed || (settings.responseDeadline.missHandling == 'carry-over');
+      (carryOver && (queue.length < maxPending)) ? queue.push(trial.trial_count) : forfeited.push(trial.trial_count);
+    }
+    return null;
+  };
 
-  // testPattern(stimulusPattern); 刺激パターンのテストです。
+  return {
+    /**
+     * 保留中の報酬を空にし、状態を初期化します。
+     */
+    reset: () => {
+      pending = { frequent: [], infrequent: [] };
+      totalAmount = 0;
+      lastTransition = null;
+    },
 
-  return stimulusPattern;
+    /**
+     * 1 試行分の遷移を行い、その内容を返します。
+     * @param {*} trial trial_count、frequency、reward、correct、missed を持つ試行の情報
+     */
+    step: (trial) => {
+      const before = { frequent: [...pending.frequent], infrequent: [...pending.infrequent] };
+      let forfeited = [];
+      const result = decide(trial, pending[trial.frequency], forfeited);
+      totalAmount += result ? settings.rewardAmount : 0;
+      lastTransition = {
+        missed: Boolean(trial.missed),
+        pending_frequent_before: before.frequent,
+        pending_infrequent_before: before.infrequent,
+        reward_delivered: Boolean(result),
+        reward_source: result ? result.source : null,
+        carried_from_trial: (result && result.carriedFrom) ? result.carriedFrom : null,
+        forfeited_trials: forfeited,
+        pending_frequent_after: [...pending.frequent],
+        pending_infrequent_after: [...pending.infrequent],
+        running_total: totalAmount,
+      };
+      return lastTransition;
+    },
+
+    /**
+     * 直前の試行の遷移を返します。試行前は null です。
+     */
+    getLastTransition: () => lastTransition,
+
+    /**
+     * 中断したセッションの最後の試行の記録から、保留中の報酬と報酬の合計を復元します。
+     * @param {*} row 最後の試行の 'signal for reward' の行
+     */
+    restore: (row) => {
+      pending = { frequent: [...row.pending_frequent_after], infrequent: [...row.pending_infrequent_after] };
+      totalAmount = row.running_total;
+      lastTransition = null;
+    },
+  };
+};
+
+/**
+ * 本番課題で報酬を得た回数と、獲得した合計の金額を求めます。
+ * @param {*} settings
+ * @returns 報酬を得た回数 (rewardedCount)、合計の金額 (totalAmount)、
+ *   currency.rate による換算額 (convertedAmount、currency.decimals の桁数に丸めます。rate が 0 の場合は null) を格納したオブジェクト
+ */
+const getRewardTotals = (settings) => {
+  const rewardedCount = jsPsych.data.get().filter({ name: 'signal for reward', reward_delivered: true }).count();
+  const totalAmount = rewardedCount * settings.rewardAmount;
+  return {
+    rewardedCount,
+    totalAmount,
+    convertedAmount: (settings.currency.rate > 0) ? Number((totalAmount * settings.currency.rate).toFixed(settings.currency.decimals)) : null,
+  };
+};
+
+/**
+ * 本番課題の試行を集計した課題のサマリー (analysis.js の summarizeTask) を、name が 'summary' の行としてデータに追加します。
+ * 集計の設定 (rtFilter、qualityControl、modelFit) は、name が 'settings' の行に記録した設定から取得します。
+ * 実施環境ごとのデータの保存の前に、initJsPsych の on_finish で呼び出します。
+ */
+const appendTaskSummary = () => {
+  const rows = jsPsych.data.get().filter({ name: 'signal for reward' }).values();
+  const settingsRow = jsPsych.data.get().filter({ name: 'settings' }).values()[0];
+  const settings = settingsRow ? settingsRow.settings : getUserDefinedSettings();
+  jsPsych.data.get().push({ name: 'summary', ...summarizeTask(rows, {
+    rtFilter: settings.rtFilter,
+    qualityControl: settings.qualityControl,
+    modelFit: settings.modelFit,
+  }) });
+};
+
+/**
+ * jsPsych のデータと合わせて保存する、解析用のファイルを生成します。
+ * 本番課題の 1 試行を 1 行とする表 (export.js の buildTrialTable) を CSV と JSON で、
+ * BIDS 形式の beh.tsv、events.tsv とそれぞれの JSON (サイドカー) と、データのコードブック (codebook.json) を書き出します。
+ * BIDS のファイル名の参加者のラベルには、URL のクエリ パラメーター participantId を使用します。
+ * @returns ファイル名 (filename) と内容 (text) を格納したオブジェクトの配列
+ */
+const getExportFiles = () => {
+  const rows = jsPsych.data.get().values();
+  const trials = buildTrialTable(rows);
+  let files = [
+    { filename: 'trials.csv', text: formatDelimitedText(trials, trialTableColumns) },
+    { filename: 'trials.json', text: JSON.stringify(trials, null, 2) },
+  ];
+  if (taskCodebook) {
+    files.push({ filename: 'codebook.json', text: JSON.stringify(taskCodebook, null, 2) });
+  }
+
+  // BIDS 形式のファイルは、課題で使用した設定が記録されている場合に書き出します。
+  const settingsRow = rows.find((row) => row.name == 'settings');
+  if (settingsRow) {
+    const subject = getBidsSubjectLabel(new URLSearchParams(window.location.search).get('participantId'));
+    const prefix = `sub-${subject}_task-prt`;
+    files.push(
+      { filename: `${prefix}_beh.tsv`, text: formatBidsTsv(trials, trialTableColumns) },
+      { filename: `${prefix}_beh.json`, text: JSON.stringify(buildBidsBehSidecar(settingsRow.settings), null, 2) },
+      { filename: `${prefix}_events.tsv`, text: formatBidsTsv(buildBidsEvents(rows, settingsRow.settings), bidsEventsColumns) },
+      { filename: `${prefix}_events.json`, text: JSON.stringify(buildBidsEventsSidecar(settingsRow.settings), null, 2) },
+    );
+  }
+  return files;
 };
 
 /**
  * min と max の間のランダムな数値を取得します。
  * 両端の 2 つの値を含みます。
+ * 乱数は prepareSettings で設定したシードから生成されます。
  */
  const getRandamNumber = (min, max) => {
   let minValue = Math.ceil(min);
@@ -840,7 +2230,7 @@ const generateStimulusPattern = (settings) => {
 /**
  * 刺激パターンが適切に作成されたかを確認します。
  */
-const testPattern = (stimulusPattern) => {
+const testPattern = (settings, stimulusPattern) => {
   let countFrequent = 0;
   let countInfrequent = 0;
   let countFrequentReward = 0;
@@ -851,19 +2241,36 @@ const testPattern = (stimulusPattern) => {
     ((element.frequency == 'frequent') && element.reward) ? countFrequentReward++ : null;
     ((element.frequency == 'infrequent') && element.reward) ? countInfrequentReward++ : null;
   });
-  console.log(stimulusPattern.length == 100*3);    // 刺激パターンの個数を確認します。
-  console.log(countFrequent == 50*3);              // frequent 刺激の個数を確認します。
-  console.log(countInfrequent == 50*3);            // infrequent 刺激の個数を確認します。
-  console.log(countFrequentReward == 50*0.6*3);    // frequent 刺激の内、reward の個数を確認します。
-  console.log(countInfrequentReward == 50*0.2*3);  // infrequent 刺激の内、reward の個数を確認します。
+  const schedule = settings.schedule;
+  console.log(stimulusPattern.length == schedule.trialsPerBlock * schedule.blockCount);     // 刺激パターンの個数を確認します。
+  console.log(countFrequent == schedule.frequentTrials * schedule.blockCount);              // frequent 刺激の個数を確認します。
+  console.log(countInfrequent == schedule.infrequentTrials * schedule.blockCount);          // infrequent 刺激の個数を確認します。
+  console.log(countFrequentReward == schedule.frequentRewards * schedule.blockCount);       // frequent 刺激の内、reward の個数を確認します。
+  console.log(countInfrequentReward == schedule.infrequentRewards * schedule.blockCount);   // infrequent 刺激の内、reward の個数を確認します。
 };
 
 ////////////////////////////////////////
 //// 課題の実行
 
 /**
- * 課題シーケンスです。
- * timeline 変数をグローバルに定義することにより、
- * jsPsych が定義された課題シーケンスを実行します。
+ * 課題のタイムラインの定義から生成した、データのコードブック (export.js の buildCodebook) です。
+ * 課題シーケンスの生成後に設定し、getExportFiles でデータと合わせて保存します。
  */
-var timeline = prepareTimeline();
+var taskCodebook = null;
+
+/**
+ * 設定ファイルを読み込んだ後に課題シーケンスを生成します。
+ * jsPsych の初期化の後に、platform.js の runTask から呼び出します。
+ * @param {*} resume 中断したセッションを再開する場合の、終えたブロックの番号 (block) と前回までのデータの行の配列 (rows)
+ * @returns 課題のタイムライン
+ */
+const loadTaskTimeline = async (resume = null) => {
+  const config = await loadTaskConfig();
+  const timeline = await prepareTimeline(config, resume);
+  taskCodebook = buildCodebook(timeline);
+  // 設定ファイルを使用した場合は、そのハッシュ値をすべてのデータに付加します。
+  if (config.hash) {
+    jsPsych.data.addProperties({ config_hash: config.hash });
+  }
+  return timeline;
+};
@@ -0,0 +1,288 @@
+/**
+ * cema-mock-server.js
+ * 開発用の CEMA の API のモック サーバーです。Node.js (18 以降) のみで動作し、追加のパッケージは必要ありません。
+ * insert_psych_result で受け取った内容の形式を検証し、受け取った結果をメモリー (と --out のフォルダー) に保存します。
+ * 誤りの応答や応答の遅延を再現して、課題の再試行や端末への保存を確認できます。
+ * 課題のファイル (リポジトリーのフォルダー) も配信するため、次のように実行します。
+ *
+ *   node tools/cema-mock-server.js --port 8787 --latency 500 --error-rate 0.3
+ *   http://127.0.0.1:8787/Probabilistic-Reward-Task.html?platform=cema&cemaApiUrl=http://127.0.0.1:8787/api/insert_psych_result&participantId=P1&...
+ *
+ * 課題の開始の前の接続の確認 (platform/cema.js の pingUrl に 'ping' を指定します) には、GET /api/ping で応答します。
+ * 受け取った結果は、次の URL で確認します。
+ *   GET    /api/results       受け取った結果の一覧
+ *   GET    /api/results/<id>  受け取った結果の内容
+ *   DELETE /api/results       受け取った結果の消去
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { parseArgs } = require('util');
+
+/**
+ * コマンド ラインのオプションです。
+ * port、host: 待ち受けるポートとホストです。
+ * latency、jitter: 応答までの遅延 (msec) と、遅延に加える 0 ～ jitter のランダムな時間 (msec) です。
+ * error-rate: 誤りの応答を返す確率 (0 ～ 1) です。
+ * fail-first: 最初の fail-first 回の送信に、誤りの応答を返します。
+ * error-status: 誤りの応答の HTTP ステータス コードです。
+ * out: 受け取った結果を JSON ファイルとして保存するフォルダーです。省略した場合はメモリーにのみ保存します。
+ * root: 配信する課題のファイルのフォルダーです。
+ */
+const { values: options } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8787' },
+    host: { type: 'string', default: '127.0.0.1' },
+    latency: { type: 'string', default: '0' },
+    jitter: { type: 'string', default: '0' },
+    'error-rate': { type: 'string', default: '0' },
+    'fail-first': { type: 'string', default: '0' },
+    'error-status': { type: 'string', default: '500' },
+    out: { type: 'string' },
+    root: { type: 'string', default: path.join(__dirname, '..') },
+  },
+});
+
+/**
+ * 配信するファイルの拡張子と Content-Type の対応です。
+ */
+const contentTypes = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+};
+
+/**
+ * 受け取った結果です。
+ */
+const received = [];
+
+/**
+ * insert_psych_result を受け取った回数です。
+ */
+let requestCount = 0;
+
+/**
+ * 最後に受け取った結果の ID です。受け取った結果を消去しても戻さないため、ID と --out のファイル名は重複しません。
+ */
+let lastResultId = 0;
+
+/////////////////////////////////////////////////
+//// 内容の検証
+
+/**
+ * 値が空でない文字列であるかを判定します。
+ * @param {*} value
+ */
+const isNonEmptyString = (value) => (typeof value == 'string') && (value.trim() !== '');
+
+/**
+ * insert_psych_result の内容 (platform/cema.js の buildCemaBody で作成した JSON) を検証します。
+ * @param {string} text 受け取った内容
+ * @returns 解析した内容 (body、result) と、誤りの内容の配列 (errors)
+ */
+const validatePayload = (text) => {
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    return { errors: [`内容が JSON として正しくありません (${error.message})。`] };
+  }
+  if (!body || typeof body != 'object' || Array.isArray(body)) {
+    return { errors: ['内容がオブジェクトではありません。'] };
+  }
+
+  const errors = [];
+  ['participantId', 'researchContentId', 'notificationId', 'researchDetailId'].forEach((name) => {
+    if (!isNonEmptyString(body[name])) {
+      errors.push(`${name} が空か、文字列ではありません。`);
+    }
+  });
+  if (typeof body.result != 'string') {
+    return { body, errors: [...errors, 'result が文字列 (JSON) ではありません。'] };
+  }
+
+  // result は、参加者の情報、データの行の配列などを格納したオブジェクトの JSON です。
+  let result;
+  try {
+    result = JSON.parse(body.result);
+  } catch (error) {
+    return { body, errors: [...errors, `result が JSON として正しくありません (${error.message})。`] };
+  }
+  if (!result || typeof result != 'object' || Array.isArray(result)) {
+    return { body, errors: [...errors, 'result がオブジェクトの JSON ではありません。'] };
+  }
+  ['participantId', 'researchDetailId', 'researchContentId'].forEach((name) => {
+    if (result[name] !== body[name]) {
+      errors.push(`result.${name} (${result[name]}) が ${name} (${body[name]}) と一致しません。`);
+    }
+  });
+  if (!Array.isArray(result.result) || result.result.some((row) => !row || typeof row != 'object')) {
+    errors.push('result.result がデータの行 (オブジェクト) の配列ではありません。');
+  }
+  if ('files' in result && (!result.files || typeof result.files != 'object'
+    || Object.values(result.files).some((file) => typeof file != 'string'))) {
+    errors.push('result.files がファイル名と内容 (文字列) のオブジェクトではありません。');
+  }
+  if ('checkpoint' in result && !(Number.isInteger(result.checkpoint) && result.checkpoint > 0)) {
+    errors.push('result.checkpoint が正の整数ではありません。');
+  }
+  return { body, result, errors };
+};
+
+/////////////////////////////////////////////////
+//// 応答
+
+/**
+ * JSON の応答を返します。ブラウザーの別のオリジンから送信できるように、CORS のヘッダーを付けます。
+ * @param {http.ServerResponse} response
+ * @param {number} status HTTP ステータス コード
+ * @param {*} content 応答の内容
+ */
+const sendJson = (response, status, content) => {
+  response.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+  });
+  response.end(JSON.stringify(content, null, 2));
+};
+
+/**
+ * 設定した遅延 (latency + 0 ～ jitter msec) だけ待ちます。
+ */
+const delay = () => new Promise((resolve) => {
+  setTimeout(resolve, Number(options.latency) + Math.random() * Number(options.jitter));
+});
+
+/**
+ * リクエストの本文を読み込みます。
+ * @param {http.IncomingMessage} request
+ */
+const readBody = (request) => new Promise((resolve, reject) => {
+  const chunks = [];
+  request.on('data', (chunk) => chunks.push(chunk));
+  request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  request.on('error', reject);
+});
+
+/**
+ * insert_psych_result を処理します。
+ * fail-first または error-rate に該当する場合は誤りの応答を返し、内容に誤りがある場合は 400 を返します。
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ */
+const insertPsychResult = async (request, response) => {
+  const text = await readBody(request);
+  await delay();
+  requestCount++;
+  if (requestCount <= Number(options['fail-first']) || Math.random() < Number(options['error-rate'])) {
+    console.log(`#${requestCount} simulated error ${options['error-status']}`);
+    sendJson(response, Number(options['error-status']), { status: 'error', message: 'simulated error' });
+    return;
+  }
+
+  const { body, result, errors } = validatePayload(text);
+  if (errors.length > 0) {
+    console.log(`#${requestCount} invalid payload:\n  ${errors.join('\n  ')}`);
+    sendJson(response, 400, { status: 'error', errors });
+    return;
+  }
+
+  const entry = {
+    id: ++lastResultId,
+    receivedAt: new Date().toISOString(),
+    participantId: body.participantId,
+    researchDetailId: body.researchDetailId,
+    checkpoint: result.checkpoint || null,
+    rows: result.result.length,
+    files: Object.keys(result.files || {}),
+    bytes: Buffer.byteLength(text),
+    body: { ...body, result },
+  };
+  received.push(entry);
+  if (options.out) {
+    const kind = entry.checkpoint ? `checkpoint${entry.checkpoint}` : 'final';
+    const filename = `${String(entry.id).padStart(4, '0')}_${entry.participantId}_${kind}.json`.replace(/[^\w.-]/g, '_');
+    fs.mkdirSync(options.out, { recursive: true });
+    fs.writeFileSync(path.join(options.out, filename), JSON.stringify(entry.body, null, 2));
+  }
+  console.log(`#${requestCount} received result ${entry.id} (participantId: ${entry.participantId}, `
+    + `${entry.checkpoint ? `checkpoint ${entry.checkpoint}` : 'final'}, ${entry.rows} rows, ${entry.files.length} files)`);
+  sendJson(response, 200, { status: 'ok', id: entry.id });
+};
+
+/**
+ * 受け取った結果の一覧 (内容を除きます) を返します。
+ */
+const summarizeReceived = () => received.map(({ body, ...summary }) => summary);
+
+/**
+ * 課題のファイルを配信します。root の外のファイルは配信しません。
+ * @param {string} pathname リクエストのパス
+ * @param {http.ServerResponse} response
+ */
+const serveFile = (pathname, response) => {
+  const root = path.resolve(options.root);
+  const file = path.resolve(root, '.' + decodeURIComponent(pathname === '/' ? '/Probabilistic-Reward-Task.html' : pathname));
+  if (!file.startsWith(root + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+    response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    response.end('Not Found');
+    return;
+  }
+  response.writeHead(200, { 'Content-Type': contentTypes[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+  fs.createReadStream(file).pipe(response);
+};
+
+/////////////////////////////////////////////////
+//// サーバー
+
+const server = http.createServer(async (request, response) => {
+  const { pathname } = new URL(request.url, 'http://localhost');
+  try {
+    // 別のオリジンからの送信の事前確認 (プリフライト) に応答します。
+    if (request.method == 'OPTIONS') {
+      response.writeHead(204, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+      });
+      response.end();
+    } else if (pathname == '/api/insert_psych_result' && request.method == 'POST') {
+      await insertPsychResult(request, response);
+    } else if (pathname == '/api/ping' && request.method == 'GET') {
+      await delay();
+      sendJson(response, 200, { status: 'ok' });
+    } else if (pathname == '/api/results' && request.method == 'GET') {
+      sendJson(response, 200, summarizeReceived());
+    } else if (pathname == '/api/results' && request.method == 'DELETE') {
+      received.length = 0;
+      sendJson(response, 200, { status: 'ok' });
+    } else if (pathname.startsWith('/api/results/') && request.method == 'GET') {
+      const entry = received.find((item) => item.id == pathname.split('/').pop());
+      entry ? sendJson(response, 200, entry.body) : sendJson(response, 404, { status: 'error', message: 'not found' });
+    } else if (pathname.startsWith('/api/')) {
+      sendJson(response, 404, { status: 'error', message: 'not found' });
+    } else if (request.method == 'GET') {
+      serveFile(pathname, response);
+    } else {
+      sendJson(response, 405, { status: 'error', message: 'method not allowed' });
+    }
+  } catch (error) {
+    // URL のパーセント エンコードの誤り (decodeURIComponent の URIError) は、リクエストの誤りとして扱います。
+    if (error instanceof URIError) {
+      sendJson(response, 400, { status: 'error', message: error.message });
+      return;
+    }
+    console.error(error);
+    sendJson(response, 500, { status: 'error', message: error.message });
+  }
+});
+
+server.listen(Number(options.port), options.host, () => {
+  console.log(`CEMA mock server: http://${options.host}:${options.port}/api/insert_psych_result`);
+});
@@ -0,0 +1,45 @@
+/**
+ * generate-config-schema.js
+ * 設定ファイルのスキーマ (task.js の getConfigSchema の結果) を config/schema.json に書き出します。
+ * Node.js のみで動作し、追加のパッケージは必要ありません。
+ * task.js の settingsSchema を変更した場合は、次のように実行して config/schema.json を更新します。
+ *
+ *   node tools/generate-config-schema.js
+ *
+ * --check を指定した場合は書き出さずに、config/schema.json が settingsSchema と一致しているかを確認します
+ * (一致しない場合は終了コード 1 で終了します)。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * task.js と、書き出すスキーマのファイルのパスです。
+ */
+const taskPath = path.join(__dirname, '..', 'Probabilistic-Reward-Task', 'task.js');
+const schemaPath = path.join(__dirname, '..', 'config', 'schema.json');
+
+/**
+ * task.js を読み込み、設定ファイルのスキーマの JSON を生成します。
+ * task.js はブラウザーのスクリプトのため、最上位で参照する window のみを用意して実行します。
+ */
+const generateConfigSchema = () => {
+  const context = vm.createContext({ window: { location: { search: '' } }, console });
+  vm.runInContext(`${fs.readFileSync(taskPath, 'utf8')}\n;this.configSchema = getConfigSchema();`, context);
+  return JSON.stringify(context.configSchema, null, 2) + '\n';
+};
+
+const schema = generateConfigSchema();
+if (process.argv.includes('--check')) {
+  const current = fs.existsSync(schemaPath) ? fs.readFileSync(schemaPath, 'utf8') : '';
+  if (current !== schema) {
+    console.error('config/schema.json is out of date. Run: node tools/generate-config-schema.js');
+    process.exit(1);
+  }
+  console.log('config/schema.json is up to date.');
+} else {
+  fs.mkdirSync(path.dirname(schemaPath), { recursive: true });
+  fs.writeFileSync(schemaPath, schema);
+  console.log(`Wrote ${path.relative(process.cwd(), schemaPath)}`);
+}